@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+
+// Command-line front end for FileDownloader and ArchiveExtractor. Flags override .env and the
+// environment; downloader.js and extract-only.js run this with their old default commands.
+require('dotenv').config();
+const { FileDownloader, ArchiveExtractor } = require('./index');
+const { SETTINGS, flagName, parseFlags } = require('./lib/config');
+const { Logger } = require('./lib/logger');
+
+// Replaced by one with the command's LOG_FORMAT and LOG_FILE once the command has its settings
+let logger = new Logger();
+
+function printUsage() {
+  console.log('Usage: node cli.js <command> [options] [arguments]');
+  console.log('');
+  console.log('Commands:');
+  console.log('  download [url ...]              Download the URLs (or --manifest), then extract if --auto-unzip');
+  console.log('  extract [source] [destination]  Extract the archives in a directory');
+  console.log('  verify [file[=sha256:hex] ...]  Check downloaded files against their checksums');
+  console.log('  status [extract]                Show the downloader (or extractor) job journal');
+  console.log('  plan [url ...]                  Show what a download run would do, without downloading');
+  console.log('');
+  console.log('Options (each overrides the environment variable after it):');
+  for (const setting of SETTINGS) {
+    const flag = setting.type === 'boolean' ? `--[no-]${flagName(setting)}` : `--${flagName(setting)} <value>`;
+    console.log(`  ${flag.padEnd(38)} ${setting.env}: ${setting.description}`);
+  }
+}
+
+// Writes log events, and stops gracefully on the first SIGINT/SIGTERM and at once on the second
+function attach(instance, loggerOptions = {}) {
+  logger = new Logger({ ...instance.config, ...loggerOptions });
+  instance.on('log', (entry) => logger.write(entry));
+
+  for (const signal of ['SIGINT', 'SIGTERM']) {
+    process.on(signal, () => {
+      if (instance.shuttingDown) {
+        instance.log('warn', `Received ${signal} again. Forcing exit without waiting for active work`);
+        process.exit(1);
+      }
+      instance.shutdown(signal);
+      instance.log('warn', `Send ${signal} again to force quit`);
+    });
+  }
+  return instance;
+}
+
+function printStatus(instance, status) {
+  const sections = [['Downloads', status.downloads], ['Extractions', status.extractions]].filter(([, entries]) => entries);
+
+  console.log(`Job journal: ${status.journal}`);
+  for (const [title, entries] of sections) {
+    console.log('');
+    console.log(`${title} (${entries.length}):`);
+
+    entries.forEach(entry => {
+      const bytes = entry.bytesDone ? `, ${instance.formatBytes(entry.bytesDone)}` : '';
+      console.log(`  [${entry.status.toUpperCase()}] ${entry.key} (${entry.attempts} attempts${bytes}, updated ${entry.updatedAt})`);
+      if (entry.lastError) {
+        console.log(`      last error: ${entry.lastError}`);
+      }
+    });
+  }
+}
+
+function planAction(downloader, file) {
+  if (!file.filePath) {
+    return 'fail, invalid URL';
+  }
+  if (file.complete) {
+    return file.status === 'completed' ? 'skip, completed in a previous run' : 'skip, already complete';
+  }
+  if (file.partialBytes > 0) {
+    return `resume from ${downloader.formatBytes(file.partialBytes)}`;
+  }
+  return file.exists ? 'download again, the existing file is incomplete' : 'download';
+}
+
+function printTable(rows) {
+  const widths = rows[0].map((cell, column) => Math.max(...rows.map(row => row[column].length)));
+  rows.forEach(row => console.log(`  ${row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd()}`));
+}
+
+function printPlan(downloader, plan) {
+  const { files, totals, space } = plan;
+  const bytes = (count) => downloader.formatBytes(count);
+  console.log(`Plan for ${files.length} files in ${plan.downloadDirectory}:`);
+  console.log('');
+
+  const rows = files.map(file => [
+    file.fileName,
+    file.size ? bytes(file.size) : '?',
+    file.contentType ? file.contentType.split(';')[0] : '-',
+    file.acceptsRanges === null ? '-' : file.acceptsRanges ? 'yes' : 'no',
+    file.complete ? 'complete' : file.partialBytes > 0 ? 'partial' : file.exists ? 'incomplete' : '-',
+    file.streamExtract ? 'while downloading' : file.extract ? 'yes' : 'no',
+    planAction(downloader, file)
+  ]);
+  printTable([['FILE', 'SIZE', 'TYPE', 'RANGES', 'ON DISK', 'EXTRACT', 'ACTION'], ...rows]);
+
+  // Problems a run would hit, under the table so the columns stay readable
+  const problems = files.filter(file => file.error || file.sizeMismatch || file.mirror);
+  if (problems.length > 0) {
+    console.log('');
+    problems.forEach(file => {
+      if (file.error) {
+        console.log(`  ${file.fileName}: ${file.filePath ? 'HEAD failed: ' : ''}${file.error}`);
+      } else if (file.sizeMismatch) {
+        console.log(`  ${file.fileName}: manifest says ${file.size} bytes, server reports ${file.reportedSize}`);
+      } else {
+        console.log(`  ${file.fileName}: answered by mirror ${new URL(file.mirror).host}`);
+      }
+    });
+  }
+
+  console.log('');
+  const unknown = totals.unknownSizes > 0 ? ` plus ${totals.unknownSizes} files of unknown size` : '';
+  console.log(`Total: ${bytes(totals.bytes)}${unknown}, ${totals.complete} of ${totals.files} files already complete`);
+  console.log(`To download: ${bytes(totals.downloadBytes)}${totals.extractBytes > 0 ? `, at least ${bytes(totals.extractBytes)} more once extracted` : ''}`);
+  space.forEach(volume => {
+    const verdict = volume.fits ? 'fits' : 'DOES NOT FIT';
+    console.log(`Disk space for ${volume.work}: ${bytes(volume.neededBytes)} needed, ${bytes(volume.availableBytes)} available on ${volume.directory} (${bytes(volume.freeBytes)} free): ${verdict}`);
+  });
+}
+
+function downloadOptions(options, args) {
+  return args.length > 0 ? { ...options, downloadUrls: args } : options;
+}
+
+function requireItems(downloader) {
+  if (downloader.total > 0) return true;
+
+  downloader.log('error', 'No download URLs provided! Pass them as arguments, --urls, --manifest or DOWNLOAD_URLS in .env');
+  console.log('');
+  printUsage();
+  return false;
+}
+
+const COMMANDS = {
+  async download(options, args) {
+    const downloader = attach(new FileDownloader(downloadOptions(options, args)));
+    if (!requireItems(downloader)) return 1;
+
+    // SIGHUP applies an edited SPEED_CONTROL_FILE at once instead of at the next periodic check
+    process.on('SIGHUP', () => downloader.refreshBandwidth());
+
+    const summary = await downloader.run();
+
+    if (downloader.shuttingDown) {
+      downloader.log('warn', `Shutdown complete: ${summary.interrupted} items left unfinished, run again to resume`);
+      return summary.success ? 0 : 1;
+    }
+
+    if (summary.success) {
+      downloader.log('info', 'All operations completed successfully! Exiting...');
+      if (downloader.autoUnzip && summary.extractions.length > 0) {
+        downloader.log('info', `Downloaded ${summary.completed} files and extracted ${summary.extracted} archives`);
+      }
+      return 0;
+    }
+
+    if (summary.failed > 0) {
+      downloader.log('error', `${summary.failed} downloads failed`);
+    }
+    if (summary.failedExtractions > 0) {
+      downloader.log('error', `${summary.failedExtractions} extractions failed`);
+    }
+    downloader.log('error', 'Some operations failed. Exiting with error code...');
+    return 1;
+  },
+
+  async extract(options, [source, destination]) {
+    const extractor = attach(new ArchiveExtractor({
+      ...options,
+      unzipSourceDirectory: source || options.unzipSourceDirectory,
+      unzipDestinationDirectory: destination || options.unzipDestinationDirectory
+    }));
+    const summary = await extractor.run();
+
+    if (extractor.shuttingDown && summary.interrupted > 0) {
+      extractor.log('warn', `Shutdown complete: ${summary.interrupted} archives left unfinished, run again to resume`);
+      return 1;
+    }
+
+    if (summary.failedExtractions === 0) {
+      extractor.log('info', 'All extractions completed successfully! Exiting...');
+      return 0;
+    }
+    extractor.log('error', `${summary.failedExtractions} extractions failed. Exiting with error code...`);
+    return 1;
+  },
+
+  async verify(options, files) {
+    const downloader = attach(new FileDownloader(options));
+    const results = await downloader.verifyAll(files);
+    return results.some(r => r.status === 'corrupt' || r.status === 'missing') ? 1 : 0;
+  },
+
+  async status(options, [tool], defaultCommand) {
+    const instance = tool === 'extract' || defaultCommand === 'extract'
+      ? new ArchiveExtractor(options)
+      : new FileDownloader(options);
+    printStatus(instance, await instance.getStatus());
+    return 0;
+  },
+
+  // Exits with 1 when a file could not be checked or the work does not fit on disk
+  async plan(options, args) {
+    const downloader = new FileDownloader(downloadOptions(options, args));
+    const format = downloader.config.planFormat;
+    if (!['table', 'json'].includes(format)) {
+      throw new Error(`Invalid PLAN_FORMAT "${format}": use table or json`);
+    }
+    attach(downloader, { logToStderr: format === 'json' });
+    if (!requireItems(downloader)) return 1;
+
+    const plan = await downloader.plan();
+    if (format === 'json') {
+      console.log(JSON.stringify(plan, null, 2));
+    } else {
+      printPlan(downloader, plan);
+    }
+    return plan.totals.errors > 0 || plan.space.some(volume => !volume.fits) ? 1 : 0;
+  }
+};
+
+// Runs a command and resolves with the exit code. Without a command name in front, the
+// arguments go to defaultCommand, so "node extract-only.js <source> <destination>" still works.
+async function main(argv, defaultCommand = 'download') {
+  if (argv.includes('--help') || argv.includes('-h')) {
+    printUsage();
+    return 0;
+  }
+
+  const command = Object.hasOwn(COMMANDS, argv[0]) ? argv[0] : defaultCommand;
+  const args = command === argv[0] ? argv.slice(1) : argv;
+
+  try {
+    const { options, positional } = parseFlags(args);
+    return await COMMANDS[command](options, positional, defaultCommand);
+  } catch (error) {
+    logger.write({ timestamp: new Date().toISOString(), level: 'error', message: `Fatal error: ${error.message}` });
+    return 1;
+  }
+}
+
+module.exports = { main };
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => process.exit(code));
+}
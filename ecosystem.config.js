@@ -2,7 +2,7 @@ module.exports = {
   apps: [{
     name: 'dataset-downloader',
     script: 'downloader.js',
-    args: process.env.DOWNLOAD_URL || '',
+    args: process.env.DOWNLOAD_MANIFEST ? `--manifest ${process.env.DOWNLOAD_MANIFEST}` : process.env.DOWNLOAD_URL || '',
     instances: 1,
     autorestart: false,  // Don't restart after completion
     watch: false,
@@ -0,0 +1,18 @@
+// Library entry point: the downloader and extractor the CLI runs, for use from other Node code.
+// Settings come from the options passed in, then from process.env; load .env yourself if you use one.
+const FileDownloader = require('./lib/downloader');
+const ArchiveExtractor = require('./lib/extractor');
+const JobJournal = require('./lib/journal');
+const { loadConfig } = require('./lib/config');
+const { Logger } = require('./lib/logger');
+const { ManifestError, loadManifest } = require('./lib/manifest');
+
+module.exports = {
+  ArchiveExtractor,
+  FileDownloader,
+  JobJournal,
+  Logger,
+  ManifestError,
+  loadConfig,
+  loadManifest
+};
@@ -0,0 +1,138 @@
+const fs = require('fs-extra');
+const path = require('path');
+const zlib = require('zlib');
+const { spawn } = require('child_process');
+const { Duplex } = require('stream');
+const { pipeline: pipelineAsync } = require('stream/promises');
+
+// Compression formats: their magic bytes, single-file extensions and tar shorthand extensions.
+// Only gzip is built into Node, the others stream through the system tools.
+const COMPRESSIONS = {
+  gzip: { magic: [0x1f, 0x8b], extensions: ['.gz'], tarExtensions: ['.tgz'], command: null },
+  bzip2: { magic: [0x42, 0x5a, 0x68], extensions: ['.bz2'], tarExtensions: ['.tbz', '.tbz2'], command: 'bzip2' },
+  xz: { magic: [0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00], extensions: ['.xz'], tarExtensions: ['.txz'], command: 'xz' },
+  zstd: { magic: [0x28, 0xb5, 0x2f, 0xfd], extensions: ['.zst', '.zstd'], tarExtensions: ['.tzst'], command: 'zstd' }
+};
+
+const ZIP_MAGIC = [0x50, 0x4b];
+// Enough for a tar header, whose "ustar" magic sits at offset 257
+const HEADER_SIZE = 512;
+
+function startsWith(buffer, bytes) {
+  return buffer.length >= bytes.length && bytes.every((byte, i) => buffer[i] === byte);
+}
+
+function isTarHeader(buffer) {
+  return buffer.length >= 262 && buffer.toString('latin1', 257, 262) === 'ustar';
+}
+
+// What the file name claims: { type: 'zip' | 'tar' | 'file' | 'unknown', compression }
+function formatFromName(fileName) {
+  const name = fileName.toLowerCase();
+  if (name.endsWith('.zip')) return { type: 'zip', compression: null };
+  if (name.endsWith('.tar')) return { type: 'tar', compression: null };
+
+  for (const [compression, { extensions, tarExtensions }] of Object.entries(COMPRESSIONS)) {
+    if (tarExtensions.some(ext => name.endsWith(ext))) return { type: 'tar', compression };
+    if (extensions.some(ext => name.endsWith(`.tar${ext}`))) return { type: 'tar', compression };
+    if (extensions.some(ext => name.endsWith(ext))) return { type: 'file', compression };
+  }
+  return { type: 'unknown', compression: null };
+}
+
+// Name a single compressed file decompresses to: annotations.csv.gz -> annotations.csv
+function decompressedName(fileName) {
+  const { compression } = formatFromName(fileName);
+  const extension = compression && COMPRESSIONS[compression].extensions.find(ext => fileName.toLowerCase().endsWith(ext));
+  return extension ? fileName.slice(0, -extension.length) : `${fileName}.out`;
+}
+
+function spawnDecompressor(command) {
+  return Duplex.from(async function* (source) {
+    const child = spawn(command, ['-dc'], { stdio: ['pipe', 'pipe', 'pipe'] });
+    let stderr = '';
+    child.stderr.on('data', (chunk) => { stderr += chunk; });
+    const exited = new Promise((resolve, reject) => {
+      child.once('error', reject);
+      child.once('close', resolve);
+    });
+    exited.catch(() => {});
+
+    // Write errors (EPIPE once the tool has exited) are reported through the exit code instead
+    pipelineAsync(source, child.stdin).catch(() => {});
+
+    try {
+      yield* child.stdout;
+      const code = await exited;
+      if (code !== 0) {
+        throw new Error(`${command} failed with exit code ${code}: ${stderr.trim()}`);
+      }
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new Error(`${command} is not installed; it is needed to decompress ${command} files`);
+      }
+      throw error;
+    } finally {
+      child.kill();
+    }
+  });
+}
+
+function createDecompressor(compression) {
+  const { command } = COMPRESSIONS[compression];
+  return command ? spawnDecompressor(command) : zlib.createGunzip();
+}
+
+async function readHeader(filePath) {
+  const handle = await fs.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(HEADER_SIZE);
+    const { bytesRead } = await fs.read(handle, buffer, 0, HEADER_SIZE, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await fs.close(handle);
+  }
+}
+
+// First bytes of the decompressed data, or whatever came out before decompression failed
+async function readDecompressedHeader(filePath, compression) {
+  const chunks = [];
+  let size = 0;
+  try {
+    await pipelineAsync(fs.createReadStream(filePath), createDecompressor(compression), async (output) => {
+      for await (const chunk of output) {
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size >= HEADER_SIZE) break;
+      }
+    });
+  } catch (error) {
+    // Stopping early tears the pipeline down; a corrupt file is reported by the extraction itself
+  }
+  return Buffer.concat(chunks).subarray(0, HEADER_SIZE);
+}
+
+// Detects the format from the file's magic bytes, looking inside compressed data for a tar
+// header. The name is only used for old tars, which have no magic, and as a last resort.
+// Split sets pass their first part along with the name of the joined archive.
+async function detectFormat(filePath, fileName = path.basename(filePath)) {
+  const byName = formatFromName(fileName);
+  const header = await readHeader(filePath);
+
+  if (startsWith(header, ZIP_MAGIC)) return { type: 'zip', compression: null };
+  if (isTarHeader(header)) return { type: 'tar', compression: null };
+
+  const compression = Object.keys(COMPRESSIONS).find(name => startsWith(header, COMPRESSIONS[name].magic));
+  if (!compression) return byName;
+
+  const inner = await readDecompressedHeader(filePath, compression);
+  const type = isTarHeader(inner) || byName.type === 'tar' ? 'tar' : 'file';
+  return { type, compression };
+}
+
+module.exports = {
+  createDecompressor,
+  decompressedName,
+  detectFormat,
+  formatFromName
+};
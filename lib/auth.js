@@ -0,0 +1,251 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const YAML = require('yaml');
+
+// Shorter values are not redacted, or every "a" in the log would go
+const MIN_SECRET_LENGTH = 4;
+
+// Header names whose values are treated as secrets wherever they come from
+const SENSITIVE_HEADER = /^(authorization|proxy-authorization|cookie)$|token|key|secret|session|auth/i;
+
+function expandHome(filePath) {
+  return filePath.startsWith('~/') ? path.join(os.homedir(), filePath.slice(2)) : filePath;
+}
+
+// "${NAME}" is replaced by the environment variable, so files and manifests need not hold secrets
+function expandEnv(value, source, env = process.env) {
+  return String(value).replace(/\$\{(\w+)\}/g, (match, name) => {
+    if (env[name] === undefined) {
+      throw new Error(`${source} refers to \${${name}}, which is not set`);
+    }
+    return env[name];
+  });
+}
+
+// An auth entry is { bearer } or { username, password }, either with optional extra headers.
+// CSV manifests can only hold strings, so "bearer:<token>" and "basic:<user>:<password>" work too.
+function parseAuth(value, source) {
+  let auth = value;
+  if (typeof value === 'string') {
+    const [scheme, ...rest] = value.split(':');
+    if (scheme.toLowerCase() === 'bearer' && rest.length > 0) {
+      auth = { bearer: rest.join(':') };
+    } else if (scheme.toLowerCase() === 'basic' && rest.length > 1) {
+      auth = { username: rest[0], password: rest.slice(1).join(':') };
+    } else {
+      throw new Error(`auth in ${source} must be "bearer:<token>" or "basic:<user>:<password>"`);
+    }
+  }
+  if (!auth || typeof auth !== 'object' || Array.isArray(auth)) {
+    throw new Error(`auth in ${source} must be a map with bearer, username/password or headers`);
+  }
+
+  const unknown = Object.keys(auth).filter(key => !['bearer', 'username', 'password', 'headers'].includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`unknown auth field "${unknown[0]}" in ${source}`);
+  }
+  if (auth.bearer && (auth.username || auth.password)) {
+    throw new Error(`auth in ${source} has both a bearer token and a username/password`);
+  }
+  if (auth.headers && (typeof auth.headers !== 'object' || Array.isArray(auth.headers))) {
+    throw new Error(`auth headers in ${source} must be a map of header names to values`);
+  }
+
+  const parsed = {};
+  if (auth.bearer) parsed.bearer = expandEnv(auth.bearer, source);
+  if (auth.username) parsed.username = expandEnv(auth.username, source);
+  if (auth.password !== undefined) parsed.password = expandEnv(auth.password, source);
+  if (auth.headers) {
+    parsed.headers = {};
+    for (const [name, headerValue] of Object.entries(auth.headers)) {
+      parsed.headers[name] = expandEnv(headerValue, source);
+    }
+  }
+  return parsed;
+}
+
+// "machine <host> login <user> password <password>" entries and an optional "default" one.
+// Tokens may sit on one line or many; macdef blocks run to the next blank line and are skipped.
+function parseNetrc(text) {
+  const machines = new Map();
+  const tokens = text.replace(/^\s*macdef[^\n]*\n(?:[^\n]*\S[^\n]*\n)*/gm, '').replace(/#.*$/gm, '').split(/\s+/).filter(Boolean);
+  let current = null;
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (token === 'machine') {
+      current = { host: (tokens[++i] || '').toLowerCase() };
+      machines.set(current.host, current);
+    } else if (token === 'default') {
+      current = { host: '*' };
+      machines.set('*', current);
+    } else if (current && token === 'login') {
+      current.username = tokens[++i];
+    } else if (current && token === 'password') {
+      current.password = tokens[++i];
+    }
+  }
+  return machines;
+}
+
+// Netscape cookies.txt: domain, include subdomains, path, secure, expiry, name, value, tab-separated.
+// curl and browser exports mark HttpOnly cookies with a "#HttpOnly_" prefix on the domain.
+function parseCookiesTxt(text, source) {
+  const cookies = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    const cookieLine = line.startsWith('#HttpOnly_') ? line.slice('#HttpOnly_'.length) : line;
+    if (!cookieLine.trim() || cookieLine.startsWith('#')) return;
+
+    const fields = cookieLine.split('\t');
+    if (fields.length < 7) {
+      throw new Error(`Invalid cookie on line ${index + 1} of ${source}: expected 7 tab-separated fields`);
+    }
+    const [domain, subdomains, cookiePath, secure, expires, name, ...value] = fields;
+    cookies.push({
+      domain: domain.replace(/^\./, '').toLowerCase(),
+      subdomains: subdomains.toUpperCase() === 'TRUE' || domain.startsWith('.'),
+      path: cookiePath || '/',
+      secure: secure.toUpperCase() === 'TRUE',
+      expires: parseInt(expires) || 0,
+      name,
+      value: value.join('\t')
+    });
+  });
+  return cookies;
+}
+
+function cookieApplies(cookie, url, now) {
+  const hostname = url.hostname.toLowerCase();
+  const domainMatches = hostname === cookie.domain || (cookie.subdomains && hostname.endsWith(`.${cookie.domain}`));
+  return domainMatches
+    && url.pathname.startsWith(cookie.path)
+    && (!cookie.secure || url.protocol === 'https:')
+    && (cookie.expires === 0 || cookie.expires > now / 1000);
+}
+
+// Sets a header, replacing one of the same name in any letter case
+function setHeader(headers, name, value) {
+  for (const existing of Object.keys(headers)) {
+    if (existing.toLowerCase() === name.toLowerCase()) delete headers[existing];
+  }
+  headers[name] = value;
+}
+
+// Credentials and extra headers for each request. From weakest to strongest: .netrc (NETRC_FILE),
+// cookies (COOKIES_FILE), the entry for the host in AUTH_FILE ("*.example.com" matches subdomains),
+// then the manifest entry's own auth and headers. Every secret seen is kept in `secrets` for redaction.
+class Credentials {
+  constructor({ authFile = null, netrcFile = null, cookiesFile = null } = {}) {
+    this.secrets = new Set();
+    this.authFile = authFile && expandHome(authFile);
+    this.netrcFile = netrcFile && expandHome(netrcFile);
+    this.cookiesFile = cookiesFile && expandHome(cookiesFile);
+
+    this.hosts = new Map();
+    if (this.authFile) {
+      const hosts = YAML.parse(fs.readFileSync(this.authFile, 'utf8')) || {};
+      if (typeof hosts !== 'object' || Array.isArray(hosts)) {
+        throw new Error(`Invalid AUTH_FILE ${this.authFile}: expected a map of hosts to credentials`);
+      }
+      for (const [host, auth] of Object.entries(hosts)) {
+        this.hosts.set(host.toLowerCase(), parseAuth(auth, `${this.authFile} (${host})`));
+      }
+    }
+
+    this.machines = this.netrcFile ? parseNetrc(fs.readFileSync(this.netrcFile, 'utf8')) : new Map();
+    this.cookies = this.cookiesFile ? parseCookiesTxt(fs.readFileSync(this.cookiesFile, 'utf8'), this.cookiesFile) : [];
+
+    this.hosts.forEach(auth => this.addAuthSecrets(auth));
+    this.machines.forEach(machine => this.addSecret(machine.password));
+    this.cookies.forEach(cookie => this.addSecret(cookie.value));
+  }
+
+  get enabled() {
+    return Boolean(this.hosts.size || this.machines.size || this.cookies.length);
+  }
+
+  describe() {
+    const sources = [];
+    if (this.authFile) sources.push(`${this.hosts.size} hosts from ${this.authFile}`);
+    if (this.netrcFile) sources.push(`${this.machines.size} machines from ${this.netrcFile}`);
+    if (this.cookiesFile) sources.push(`${this.cookies.length} cookies from ${this.cookiesFile}`);
+    return sources.join(', ');
+  }
+
+  addSecret(value) {
+    if (value && String(value).length >= MIN_SECRET_LENGTH) {
+      this.secrets.add(String(value));
+    }
+  }
+
+  addAuthSecrets(auth) {
+    this.addSecret(auth.bearer);
+    this.addSecret(auth.password);
+    Object.values(auth.headers || {}).forEach(value => this.addSecret(value));
+  }
+
+  // An exact host wins over the longest matching "*.domain" pattern
+  hostAuth(hostname) {
+    if (this.hosts.has(hostname)) return this.hosts.get(hostname);
+    const patterns = [...this.hosts.keys()]
+      .filter(pattern => pattern.startsWith('*.') && hostname.endsWith(pattern.slice(1)))
+      .sort((a, b) => b.length - a.length);
+    return patterns.length > 0 ? this.hosts.get(patterns[0]) : null;
+  }
+
+  applyAuth(headers, auth) {
+    if (auth.bearer) {
+      setHeader(headers, 'Authorization', `Bearer ${auth.bearer}`);
+    } else if (auth.username) {
+      const encoded = Buffer.from(`${auth.username}:${auth.password || ''}`).toString('base64');
+      this.addSecret(encoded);
+      setHeader(headers, 'Authorization', `Basic ${encoded}`);
+    }
+    for (const [name, value] of Object.entries(auth.headers || {})) {
+      setHeader(headers, name, value);
+    }
+  }
+
+  headersFor(item) {
+    const url = new URL(item.url);
+    const hostname = url.hostname.toLowerCase();
+    const headers = {};
+
+    const machine = this.machines.get(hostname) || this.machines.get('*');
+    if (machine && machine.username) {
+      this.applyAuth(headers, machine);
+    }
+
+    const cookies = this.cookies.filter(cookie => cookieApplies(cookie, url, Date.now()));
+    if (cookies.length > 0) {
+      setHeader(headers, 'Cookie', cookies.map(cookie => `${cookie.name}=${cookie.value}`).join('; '));
+    }
+
+    const hostAuth = this.hostAuth(hostname);
+    if (hostAuth) {
+      this.applyAuth(headers, hostAuth);
+    }
+
+    if (item.auth) {
+      this.addAuthSecrets(item.auth);
+      this.applyAuth(headers, item.auth);
+    }
+    for (const [name, value] of Object.entries(item.headers || {})) {
+      if (SENSITIVE_HEADER.test(name)) {
+        // "Bearer <token>" may also show up as just the token
+        this.addSecret(value);
+        this.addSecret(String(value).replace(/^(bearer|basic)\s+/i, ''));
+      }
+      setHeader(headers, name, value);
+    }
+    return headers;
+  }
+}
+
+module.exports = {
+  Credentials,
+  expandEnv,
+  parseAuth,
+  parseCookiesTxt,
+  parseNetrc
+};
@@ -0,0 +1,236 @@
+const fs = require('fs-extra');
+const { Transform } = require('stream');
+
+// Unused bandwidth may be saved up for this long, so short stalls are caught up on afterwards
+const BURST_MS = 1000;
+
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Shares one rate (in MB/s, 0 = unlimited) between every stream that draws from it.
+// Each chunk reserves the next free slot of time, so streams take turns in arrival order.
+class RateLimiter {
+  constructor(rateMb = 0) {
+    this.nextFree = 0;
+    this.setRate(rateMb);
+  }
+
+  setRate(rateMb) {
+    this.rateMb = rateMb;
+    this.bytesPerMs = rateMb * 1024 * 1024 / 1000;
+    // Reservations made at the old rate are dropped along with it
+    this.nextFree = 0;
+  }
+
+  // Reserves time for the bytes and returns how many milliseconds to wait before passing them on
+  reserve(bytes) {
+    if (!this.rateMb) return 0;
+
+    const now = Date.now();
+    const start = Math.max(now - BURST_MS, this.nextFree);
+    this.nextFree = start + bytes / this.bytesPerMs;
+    return Math.max(0, start - now);
+  }
+}
+
+// Delays each chunk until every limiter it is subject to has time for it
+class ThrottleStream extends Transform {
+  constructor(limiters) {
+    super();
+    this.limiters = limiters;
+    this.timer = null;
+  }
+
+  _transform(chunk, encoding, callback) {
+    const wait = Math.max(0, ...this.limiters.map(limiter => limiter.reserve(chunk.length)));
+    if (wait === 0) {
+      callback(null, chunk);
+      return;
+    }
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      callback(null, chunk);
+    }, wait);
+  }
+
+  _destroy(error, callback) {
+    clearTimeout(this.timer);
+    callback(error);
+  }
+}
+
+function parseRate(value, source) {
+  const rate = Number(value);
+  if (value === '' || !Number.isFinite(rate) || rate < 0) {
+    throw new Error(`Invalid speed "${value}" in ${source}: expected MB/s, 0 for no limit`);
+  }
+  return rate;
+}
+
+// "host=MB" pairs; "*" sets the limit for every host not listed
+function parseHostLimits(entries, source) {
+  const limits = new Map();
+  for (const entry of entries) {
+    const separator = entry.lastIndexOf('=');
+    if (separator < 1) {
+      throw new Error(`Invalid host limit "${entry}" in ${source}: expected host=MB`);
+    }
+    limits.set(entry.slice(0, separator).trim().toLowerCase(), parseRate(entry.slice(separator + 1).trim(), source));
+  }
+  return limits;
+}
+
+function parseDays(from, to, entry) {
+  const start = DAYS.indexOf(from);
+  const end = DAYS.indexOf(to || from);
+  if (start === -1 || end === -1) {
+    throw new Error(`Invalid days in speed schedule entry "${entry}": use mon, tue, wed, thu, fri, sat or sun`);
+  }
+  const days = [];
+  for (let day = start; days.length === 0 || day !== (end + 1) % 7; day = (day + 1) % 7) {
+    days.push(day);
+  }
+  return days;
+}
+
+// Entries look like "09:00-18:00=20" or "mon-fri 09:00-18:00=20". A window may run past midnight;
+// its days are the days it is in force on, not the days it starts on.
+function parseSchedule(entries) {
+  return entries.map(entry => {
+    const match = entry.trim().toLowerCase().match(/^(?:([a-z]{3})(?:-([a-z]{3}))?\s+)?(\d{1,2}):(\d{2})-(\d{1,2}):(\d{2})=(.+)$/);
+    if (!match) {
+      throw new Error(`Invalid speed schedule entry "${entry}": expected [days ]HH:MM-HH:MM=MB`);
+    }
+    const [, fromDay, toDay, startHour, startMinute, endHour, endMinute, rate] = match;
+    const start = parseInt(startHour) * 60 + parseInt(startMinute);
+    const end = parseInt(endHour) * 60 + parseInt(endMinute);
+    if (start >= 24 * 60 || end > 24 * 60 || start === end) {
+      throw new Error(`Invalid time range in speed schedule entry "${entry}"`);
+    }
+    return {
+      entry,
+      days: fromDay ? parseDays(fromDay, toDay, entry) : null,
+      start,
+      end,
+      rateMb: parseRate(rate.trim(), 'SPEED_SCHEDULE')
+    };
+  });
+}
+
+function inWindow(window, date) {
+  if (window.days && !window.days.includes(date.getDay())) return false;
+  const minute = date.getHours() * 60 + date.getMinutes();
+  return window.start < window.end
+    ? minute >= window.start && minute < window.end
+    : minute >= window.start || minute < window.end;
+}
+
+// Control file lines: "global=MB" and "host=MB", with # comments. Whatever it sets
+// overrides the configured limits until it is changed or removed.
+function parseControlFile(content, controlFile) {
+  const lines = content.split(/\r?\n/).map(line => line.replace(/#.*/, '').trim()).filter(line => line);
+  const hosts = parseHostLimits(lines, controlFile);
+  const global = hosts.has('global') ? hosts.get('global') : null;
+  hosts.delete('global');
+  return { global, hosts };
+}
+
+// Global and per-host download speed limits, applied to response streams through throttle().
+// Limits come from MAX_DOWNLOAD_SPEED_MB and HOST_SPEED_LIMITS, the global one can follow
+// SPEED_SCHEDULE, and refresh() picks up schedule changes and edits to SPEED_CONTROL_FILE.
+class BandwidthThrottle {
+  constructor({ maxDownloadSpeedMb = 0, hostSpeedLimits = [], speedSchedule = [], speedControlFile = null } = {}) {
+    this.defaultRate = parseRate(maxDownloadSpeedMb, 'MAX_DOWNLOAD_SPEED_MB');
+    this.hostRates = parseHostLimits(hostSpeedLimits, 'HOST_SPEED_LIMITS');
+    this.schedule = parseSchedule(speedSchedule);
+    this.controlFile = speedControlFile;
+    this.controlMtime = null;
+    this.overrides = { global: null, hosts: new Map() };
+
+    this.global = new RateLimiter(this.currentGlobalRate());
+    this.hosts = new Map();
+  }
+
+  get enabled() {
+    return Boolean(this.defaultRate || this.hostRates.size || this.schedule.length || this.controlFile);
+  }
+
+  currentGlobalRate(date = new Date()) {
+    if (this.overrides.global !== null) return this.overrides.global;
+    const window = this.schedule.find(w => inWindow(w, date));
+    return window ? window.rateMb : this.defaultRate;
+  }
+
+  hostRate(hostname) {
+    for (const rates of [this.overrides.hosts, this.hostRates]) {
+      if (rates.has(hostname)) return rates.get(hostname);
+      if (rates.has('*')) return rates.get('*');
+    }
+    return 0;
+  }
+
+  hostLimiter(hostname) {
+    if (!this.hosts.has(hostname)) {
+      this.hosts.set(hostname, new RateLimiter(this.hostRate(hostname)));
+    }
+    return this.hosts.get(hostname);
+  }
+
+  // Returns a stream to pipe a response for the URL through
+  throttle(url) {
+    return new ThrottleStream([this.global, this.hostLimiter(new URL(url).hostname.toLowerCase())]);
+  }
+
+  // Overrides the configured limits at runtime; null clears an override
+  setLimits({ global, hosts } = {}) {
+    if (global !== undefined) {
+      this.overrides.global = global === null ? null : parseRate(global, 'setLimits');
+    }
+    if (hosts !== undefined) {
+      this.overrides.hosts = parseHostLimits(Object.entries(hosts || {}).map(([host, rate]) => `${host}=${rate}`), 'setLimits');
+    }
+    return this.apply();
+  }
+
+  // Re-reads the control file if it changed and moves to the scheduled rate.
+  // Resolves with true when any limit changed.
+  async refresh() {
+    if (this.controlFile) {
+      const stats = await fs.stat(this.controlFile).catch(() => null);
+      const mtime = stats ? stats.mtimeMs : null;
+      if (mtime !== this.controlMtime) {
+        // Remembered first, so a broken file is reported once rather than on every refresh
+        this.controlMtime = mtime;
+        this.overrides = stats
+          ? parseControlFile(await fs.readFile(this.controlFile, 'utf8'), this.controlFile)
+          : { global: null, hosts: new Map() };
+      }
+    }
+    return this.apply();
+  }
+
+  apply() {
+    let changed = false;
+    const globalRate = this.currentGlobalRate();
+    if (globalRate !== this.global.rateMb) {
+      this.global.setRate(globalRate);
+      changed = true;
+    }
+    for (const [hostname, limiter] of this.hosts) {
+      const rate = this.hostRate(hostname);
+      if (rate !== limiter.rateMb) {
+        limiter.setRate(rate);
+        changed = true;
+      }
+    }
+    return changed;
+  }
+
+  describe() {
+    const limits = [`global ${this.global.rateMb ? `${this.global.rateMb} MB/s` : 'unlimited'}`];
+    const hosts = new Map([...this.hostRates, ...this.overrides.hosts]);
+    hosts.forEach((rate, host) => limits.push(`${host} ${rate ? `${rate} MB/s` : 'unlimited'}`));
+    return limits.join(', ');
+  }
+}
+
+module.exports = BandwidthThrottle;
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { pipeline } = require('stream');
+const { promisify } = require('util');
+
+const streamPipeline = promisify(pipeline);
+
+// Publisher checksum files rarely name the algorithm, so infer it from the digest length
+const ALGORITHMS_BY_LENGTH = { 32: 'md5', 40: 'sha1', 64: 'sha256' };
+const SUPPORTED_ALGORITHMS = ['md5', 'sha1', 'sha256'];
+
+function normalizeAlgorithm(name) {
+  const algorithm = name.toLowerCase().replace('-', '');
+  if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unsupported checksum algorithm: ${name}`);
+  }
+  return algorithm;
+}
+
+// Accepts "sha256:<hex>", "sha256=<hex>" or a bare hex digest
+function parseChecksum(spec) {
+  const match = String(spec).trim().match(/^(?:([a-z0-9-]+)[:=])?([0-9a-f]+)$/i);
+  if (!match) {
+    throw new Error(`Invalid checksum: ${spec}`);
+  }
+
+  const digest = match[2].toLowerCase();
+  const algorithm = match[1] ? normalizeAlgorithm(match[1]) : ALGORITHMS_BY_LENGTH[digest.length];
+  if (!algorithm) {
+    throw new Error(`Cannot infer checksum algorithm from a ${digest.length}-character digest`);
+  }
+
+  return { algorithm, digest };
+}
+
+// Reads a checksum declared in a URL fragment, e.g. https://host/file.zip#sha256=<hex>
+function parseUrlChecksum(url) {
+  const hash = url.includes('#') ? url.slice(url.indexOf('#') + 1) : '';
+  const match = hash.match(/^(md5|sha-?1|sha-?256)=([0-9a-f]+)$/i);
+  return match ? parseChecksum(`${match[1]}:${match[2]}`) : null;
+}
+
+// Parses GNU coreutils ("<hex>  <name>", "<hex> *<name>") and BSD ("SHA256 (<name>) = <hex>") listings
+function parseChecksumList(text) {
+  const checksums = new Map();
+
+  for (const rawLine of text.split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const bsd = line.match(/^(MD5|SHA1|SHA256)\s*\((.+)\)\s*=\s*([0-9a-f]+)$/i);
+    const gnu = line.match(/^([0-9a-f]+)\s+\*?(.+)$/i);
+
+    if (bsd) {
+      checksums.set(path.basename(bsd[2]), parseChecksum(`${bsd[1]}:${bsd[3]}`));
+    } else if (gnu && ALGORITHMS_BY_LENGTH[gnu[1].length]) {
+      checksums.set(path.basename(gnu[2].trim()), parseChecksum(gnu[1]));
+    }
+  }
+
+  return checksums;
+}
+
+// Feeds a file (or its first `end` bytes) into an existing hash object
+async function updateHashFromFile(hash, filePath, end) {
+  if (end === 0) return hash;
+
+  const options = end === undefined ? {} : { start: 0, end: end - 1 };
+  await streamPipeline(fs.createReadStream(filePath, options), async function* (source) {
+    for await (const chunk of source) {
+      hash.update(chunk);
+    }
+  });
+  return hash;
+}
+
+async function hashFile(filePath, algorithm) {
+  const hash = await updateHashFromFile(crypto.createHash(algorithm), filePath);
+  return hash.digest('hex');
+}
+
+module.exports = {
+  parseChecksum,
+  parseUrlChecksum,
+  parseChecksumList,
+  updateHashFromFile,
+  hashFile
+};
@@ -0,0 +1,154 @@
+// Every setting with the environment variable it comes from. The command-line flag is the
+// variable name in kebab case (CONCURRENT_DOWNLOADS -> --concurrent-downloads) unless given.
+// Options passed to the API override flags, which override the environment.
+const SETTINGS = [
+  // Downloads
+  { key: 'downloadDirectory', env: 'DOWNLOAD_DIRECTORY', type: 'string', default: '/mnt/volume_ams3_01', description: 'Where downloaded files are saved' },
+  { key: 'downloadUrls', env: 'DOWNLOAD_URLS', flag: 'urls', type: 'list', default: [], description: 'Comma-separated URLs to download' },
+  { key: 'manifest', env: 'DOWNLOAD_MANIFEST', flag: 'manifest', type: 'string', default: null, description: 'Manifest file (.jsonl, .csv or .yaml) describing the files' },
+  { key: 'concurrentDownloads', env: 'CONCURRENT_DOWNLOADS', type: 'int', default: 3, description: 'Files downloaded at once' },
+  { key: 'maxDownloadsPerHost', env: 'MAX_DOWNLOADS_PER_HOST', type: 'int', default: 0, description: 'Files downloaded at once from one host (0 = no limit)' },
+  { key: 'downloadOrder', env: 'DOWNLOAD_ORDER', type: 'string', default: 'manifest', description: 'manifest | smallest-first' },
+  { key: 'timeout', env: 'TIMEOUT_MS', type: 'int', default: 30000, description: 'Wait for a response in milliseconds' },
+  { key: 'stallTimeout', env: 'STALL_TIMEOUT_MS', type: 'duration', default: 60000, description: 'Fail a download when no data arrives for this long in milliseconds (0 = never)' },
+  { key: 'retryAttempts', env: 'RETRY_ATTEMPTS', type: 'int', default: 3, description: 'Attempts per download or extraction' },
+  { key: 'retryDelay', env: 'RETRY_DELAY_MS', type: 'int', default: 5000, description: 'Wait before the first retry in milliseconds, doubled for each retry after it' },
+  { key: 'retryMaxDelay', env: 'RETRY_MAX_DELAY_MS', type: 'int', default: 300000, description: 'Longest wait between attempts in milliseconds, also for Retry-After' },
+  { key: 'segmentsPerFile', env: 'SEGMENTS_PER_FILE', type: 'int', default: 1, description: 'Connections per file for large downloads' },
+  { key: 'minSegmentSizeMb', env: 'MIN_SEGMENT_SIZE_MB', type: 'int', default: 64, description: 'Smallest segment worth its own connection' },
+  { key: 'mirrorMinSpeedKb', env: 'MIRROR_MIN_SPEED_KB', type: 'number', default: 0, description: 'Move to the next mirror when one stays slower than this in KB/s (0 = only on errors)' },
+  { key: 'filenameCollisions', env: 'FILENAME_COLLISIONS', type: 'string', default: 'suffix', description: 'When two files get the same name: suffix | host | error' },
+  { key: 'authFile', env: 'AUTH_FILE', type: 'string', default: null, description: 'YAML or JSON file with credentials and headers per host' },
+  { key: 'netrcFile', env: 'NETRC_FILE', type: 'string', default: null, description: '.netrc file with logins per host (e.g. ~/.netrc)' },
+  { key: 'cookiesFile', env: 'COOKIES_FILE', type: 'string', default: null, description: 'cookies.txt (Netscape format) sent to matching hosts' },
+  { key: 'proxyUrl', env: 'PROXY_URL', type: 'string', default: null, description: 'Proxy for every request: http://, https://, socks5:// or socks5h:// (default: HTTPS_PROXY / HTTP_PROXY)' },
+  { key: 'hostProxies', env: 'HOST_PROXIES', type: 'list', default: [], description: 'Proxy per host as host=URL or host=direct, comma-separated ("*.example.com" for subdomains)' },
+  { key: 'caBundle', env: 'CA_BUNDLE', type: 'string', default: null, description: 'PEM file with certificate authorities to trust besides the built-in ones' },
+  { key: 'insecureTls', env: 'INSECURE_TLS', type: 'boolean', default: false, description: 'Do not verify TLS certificates (unsafe; for testing only)' },
+  { key: 'checksumFiles', env: 'CHECKSUM_FILE', flag: 'checksum-file', type: 'list', default: [], description: 'Checksum lists (paths or URLs, comma-separated)' },
+  { key: 'maxDownloadSpeedMb', env: 'MAX_DOWNLOAD_SPEED_MB', type: 'number', default: 0, description: 'Combined speed of all downloads in MB/s (0 = no limit)' },
+  { key: 'hostSpeedLimits', env: 'HOST_SPEED_LIMITS', type: 'list', default: [], description: 'Speed per host as host=MB, comma-separated ("*" for every other host)' },
+  { key: 'speedSchedule', env: 'SPEED_SCHEDULE', type: 'list', default: [], description: 'Time windows for the combined speed, e.g. "mon-fri 09:00-18:00=20"' },
+  { key: 'speedControlFile', env: 'SPEED_CONTROL_FILE', type: 'string', default: null, description: 'File with speed limits that is re-read while downloading' },
+
+  // Extraction
+  { key: 'autoUnzip', env: 'AUTO_UNZIP', type: 'boolean', default: false, description: 'Extract archives after downloading' },
+  { key: 'unzipSourceDirectory', env: 'UNZIP_SOURCE_DIRECTORY', flag: 'source', type: 'string', default: '/mnt/volume_ams3_01', description: 'Directory scanned for archives' },
+  { key: 'unzipDestinationDirectory', env: 'UNZIP_DESTINATION_DIRECTORY', flag: 'destination', type: 'string', default: '/mnt/volume_ams3_02', description: 'Directory archives are extracted into' },
+  { key: 'deleteAfterUnzip', env: 'DELETE_AFTER_UNZIP', type: 'boolean', default: false, description: 'Delete archives once extracted' },
+  { key: 'concurrentExtractions', env: 'CONCURRENT_EXTRACTIONS', type: 'int', default: 2, description: 'Archives extracted at once' },
+  { key: 'extractionOrder', env: 'EXTRACTION_ORDER', type: 'string', default: 'manifest', description: 'manifest | smallest-first' },
+  { key: 'streamExtract', env: 'STREAM_EXTRACT', type: 'boolean', default: false, description: 'Extract archives while they download' },
+  { key: 'streamExtractKeepArchive', env: 'STREAM_EXTRACT_KEEP_ARCHIVE', type: 'boolean', default: false, description: 'Keep a copy of archives extracted while downloading' },
+  { key: 'nestedExtractionDepth', env: 'NESTED_EXTRACTION_DEPTH', type: 'int', default: 0, description: 'Levels of archives inside archives to extract (0 = off)' },
+  { key: 'nestedExtractionMode', env: 'NESTED_EXTRACTION_MODE', type: 'string', default: 'in-place', description: 'in-place | mapped' },
+  { key: 'nestedExtractionDirectory', env: 'NESTED_EXTRACTION_DIRECTORY', type: 'string', default: null, description: 'Destination root for mapped mode (default: the destination directory)' },
+  { key: 'deleteNestedArchives', env: 'DELETE_NESTED_ARCHIVES', type: 'boolean', default: false, description: 'Delete inner archives once extracted' },
+  { key: 'maxExtractedSizeMb', env: 'MAX_EXTRACTED_SIZE_MB', type: 'number', default: 0, description: 'Largest size one archive may expand to (0 = no limit)' },
+  { key: 'maxExtractedFiles', env: 'MAX_EXTRACTED_FILES', type: 'number', default: 0, description: 'Most entries one archive may hold (0 = no limit)' },
+  { key: 'maxCompressionRatio', env: 'MAX_COMPRESSION_RATIO', type: 'number', default: 1000, description: 'Highest compression ratio accepted (0 = no limit)' },
+
+  // Disk space
+  { key: 'diskSpacePolicy', env: 'DISK_SPACE_POLICY', type: 'string', default: 'warn', description: 'When work may not fit on disk: off | warn | abort | pause | sequential' },
+  { key: 'maxDiskUsagePercent', env: 'MAX_DISK_USAGE_PERCENT', type: 'number', default: 100, description: 'How full (in percent) downloads and extractions may fill a volume' },
+
+  // Notifications
+  { key: 'notifyWebhooks', env: 'NOTIFY_WEBHOOKS', type: 'list', default: [], description: 'URLs sent each notification as a JSON POST, comma-separated' },
+  { key: 'notifySlackWebhooks', env: 'NOTIFY_SLACK_WEBHOOKS', type: 'list', default: [], description: 'Slack-compatible incoming webhook URLs, comma-separated' },
+  { key: 'notifyCommands', env: 'NOTIFY_COMMANDS', type: 'list', default: [], description: 'Shell commands run for each notification, comma-separated' },
+  { key: 'notifyEvents', env: 'NOTIFY_EVENTS', type: 'list', default: ['complete', 'failure', 'extraction'], description: 'Which of complete, failure and extraction to notify about' },
+
+  // Run
+  { key: 'stateFile', env: 'STATE_FILE', type: 'string', default: null, description: 'Job journal (default: downloader-state.json / extractor-state.json)' },
+  { key: 'logLevel', env: 'LOG_LEVEL', type: 'string', default: 'info', description: 'error | warn | info | debug' },
+  { key: 'logFormat', env: 'LOG_FORMAT', type: 'string', default: 'text', description: 'text | json (one JSON object per line)' },
+  { key: 'logFile', env: 'LOG_FILE', type: 'string', default: null, description: 'Also write the log to this file' },
+  { key: 'logMaxSizeMb', env: 'LOG_MAX_SIZE_MB', type: 'number', default: 0, description: 'Rotate the log file at this size (0 = never)' },
+  { key: 'logMaxFiles', env: 'LOG_MAX_FILES', type: 'int', default: 5, description: 'Rotated log files kept' },
+  { key: 'planFormat', env: 'PLAN_FORMAT', type: 'string', default: 'table', description: 'How plan prints: table | json' },
+  { key: 'statusPort', env: 'STATUS_PORT', type: 'int', default: 0, description: 'Port for the local status API (0 = off)' },
+  { key: 'statusHost', env: 'STATUS_HOST', type: 'string', default: '127.0.0.1', description: 'Address the status API listens on' }
+];
+
+function flagName(setting) {
+  return setting.flag || setting.env.toLowerCase().replace(/_/g, '-');
+}
+
+// Unset and empty values fall back to the default; ints also treat 0 as unset, as they always have.
+// Durations are ints where 0 is a value of its own ("never"), so only a non-number falls back.
+function parseSetting(setting, raw) {
+  if (raw === undefined || raw === '') return setting.default;
+
+  switch (setting.type) {
+    case 'int':
+      return parseInt(raw) || setting.default;
+    case 'duration': {
+      const value = parseInt(raw);
+      if (value < 0) {
+        throw new Error(`Invalid ${setting.env} "${raw}": expected 0 or more milliseconds`);
+      }
+      return Number.isNaN(value) ? setting.default : value;
+    }
+    case 'number': {
+      const value = parseFloat(raw);
+      return Number.isNaN(value) ? setting.default : value;
+    }
+    case 'boolean':
+      return raw === true || raw === 'true';
+    case 'list':
+      return String(raw).split(',').map(value => value.trim()).filter(value => value);
+    default:
+      return raw;
+  }
+}
+
+function loadConfig(options = {}, env = process.env) {
+  const config = {};
+  for (const setting of SETTINGS) {
+    config[setting.key] = options[setting.key] !== undefined ? options[setting.key] : parseSetting(setting, env[setting.env]);
+  }
+  return config;
+}
+
+// Splits arguments into setting overrides and positional arguments. Values go as "--flag value"
+// or "--flag=value"; booleans also take "--flag" and "--no-flag".
+function parseFlags(args) {
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    const negated = name.startsWith('no-') && SETTINGS.find(s => s.type === 'boolean' && flagName(s) === name.slice(3));
+    const setting = negated || SETTINGS.find(s => flagName(s) === name);
+    if (!setting) {
+      throw new Error(`Unknown option: --${name}`);
+    }
+
+    if (negated) {
+      options[setting.key] = false;
+    } else if (setting.type === 'boolean' && inline === undefined) {
+      options[setting.key] = true;
+    } else {
+      const value = inline !== undefined ? inline : args[++i];
+      if (value === undefined) {
+        throw new Error(`Missing value for --${name}`);
+      }
+      options[setting.key] = parseSetting(setting, value);
+    }
+  }
+
+  return { options, positional };
+}
+
+module.exports = {
+  SETTINGS,
+  flagName,
+  loadConfig,
+  parseFlags
+};
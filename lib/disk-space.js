@@ -0,0 +1,111 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+// Work waiting for space re-checks the volume this often, and whenever other work releases space
+const POLL_INTERVAL_MS = 30000;
+
+// Size and free space of the volume a directory is on; the directory need not exist yet
+async function getVolumeInfo(dirPath) {
+  let existing = path.resolve(dirPath);
+  while (!await fs.pathExists(existing)) {
+    existing = path.dirname(existing);
+  }
+
+  const [stats, volume] = await Promise.all([fs.stat(existing), fs.statfs(existing)]);
+  return {
+    device: stats.dev,
+    total: volume.blocks * volume.bsize,
+    free: volume.bavail * volume.bsize
+  };
+}
+
+async function isSameVolume(firstPath, secondPath) {
+  const [first, second] = await Promise.all([getVolumeInfo(firstPath), getVolumeInfo(secondPath)]);
+  return first.device === second.device;
+}
+
+// Tracks the space promised to downloads and extractions in progress on each volume,
+// so work is only started when it fits next to everything already running.
+// Work reports the bytes it writes, which then show as used space instead of reserved.
+class SpaceBudget {
+  constructor(maxUsagePercent = 100) {
+    this.maxUsagePercent = maxUsagePercent;
+    this.reserved = new Map();
+    this.waiters = new Set();
+  }
+
+  // Free space minus what the usage cap keeps back and what is already reserved
+  async available(dirPath) {
+    const volume = await getVolumeInfo(dirPath);
+    const keptFree = volume.total * (100 - this.maxUsagePercent) / 100;
+    return { ...volume, available: Math.max(0, volume.free - keptFree - (this.reserved.get(volume.device) || 0)) };
+  }
+
+  // Waits until the bytes fit on the volume and holds them until the reservation is released.
+  // onWait(volume) is called once if it has to wait. Resolves with null if the signal aborts
+  // first. Fails with ENOSPC when the bytes do not fit and nothing else holds space on the
+  // volume, as then no running work can make room.
+  async reserve(dirPath, bytes, { signal, onWait = () => {} } = {}) {
+    let waiting = false;
+    while (!signal || !signal.aborted) {
+      const volume = await this.available(dirPath);
+      if (bytes <= volume.available) {
+        return this.hold(volume.device, bytes);
+      }
+      if (!this.reserved.get(volume.device)) {
+        const error = new Error(`Not enough disk space: ${bytes} bytes needed, ${volume.available} available`);
+        error.code = 'ENOSPC';
+        error.available = volume.available;
+        throw error;
+      }
+
+      if (!waiting) {
+        waiting = true;
+        onWait(volume);
+      }
+      await this.waitForChange(signal);
+    }
+    return null;
+  }
+
+  // written(count) hands bytes of the reservation back as they land on disk; release() returns
+  // whatever is left and wakes the work waiting for space
+  hold(device, bytes) {
+    let held = 0;
+    let released = false;
+    const change = (count) => {
+      held += count;
+      this.reserved.set(device, (this.reserved.get(device) || 0) + count);
+    };
+    change(bytes);
+    return {
+      written: (count) => change(-Math.min(count, held)),
+      release: () => {
+        if (released) return;
+        released = true;
+        change(-held);
+        this.waiters.forEach(wake => wake());
+      }
+    };
+  }
+
+  waitForChange(signal) {
+    return new Promise(resolve => {
+      const wake = () => {
+        clearTimeout(timer);
+        this.waiters.delete(wake);
+        if (signal) signal.removeEventListener('abort', wake);
+        resolve();
+      };
+      const timer = setTimeout(wake, POLL_INTERVAL_MS);
+      this.waiters.add(wake);
+      if (signal) signal.addEventListener('abort', wake, { once: true });
+    });
+  }
+}
+
+module.exports = {
+  SpaceBudget,
+  getVolumeInfo,
+  isSameVolume
+};
@@ -0,0 +1,1630 @@
+const axios = require('axios');
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream');
+const { promisify } = require('util');
+const { pipeline: pipelineAsync } = require('stream/promises');
+const ArchiveExtractor = require('./extractor');
+const WorkQueue = require('./work-queue');
+const BandwidthThrottle = require('./bandwidth');
+const { Credentials } = require('./auth');
+const { parseChecksum, parseUrlChecksum, parseChecksumList, updateHashFromFile, hashFile } = require('./checksums');
+const { isConfinedPath, loadManifest, normalizeEntry, parseUrl } = require('./manifest');
+const { createDecompressor, decompressedName, formatFromName } = require('./archive-format');
+const { groupSplitArchives } = require('./split-archives');
+const { isSameVolume } = require('./disk-space');
+const { numberedName, parseContentDisposition, sanitizeFileName } = require('./filenames');
+
+const streamPipeline = promisify(pipeline);
+
+// How often speed limits are checked against the schedule and the control file
+const BANDWIDTH_REFRESH_MS = 5000;
+
+// A mirror is judged against MIRROR_MIN_SPEED_KB over this long
+const MIRROR_SPEED_WINDOW_MS = 30000;
+
+// HEAD replies that usually mean "ask with GET" (CDNs and presigned URLs often only sign GET)
+const HEAD_FALLBACK_STATUSES = [400, 403, 405, 501];
+
+const COLLISION_POLICIES = ['suffix', 'host', 'error'];
+
+const DOWNLOAD_ORDERS = ['manifest', 'smallest-first'];
+
+// Downloads a list of URLs or a manifest, then extracts the archives among them with the
+// machinery inherited from ArchiveExtractor. Besides 'log', 'start' and 'extraction', it emits
+// 'progress' as bytes arrive and 'download' for every finished download.
+class FileDownloader extends ArchiveExtractor {
+  constructor(options = {}) {
+    super(options, 'downloader-state.json');
+    const { config } = this;
+    
+    this.downloadDirectory = config.downloadDirectory;
+    this.concurrentDownloads = config.concurrentDownloads;
+    this.maxDownloadsPerHost = config.maxDownloadsPerHost;
+    if (!DOWNLOAD_ORDERS.includes(config.downloadOrder)) {
+      throw new Error(`Invalid DOWNLOAD_ORDER "${config.downloadOrder}": use ${DOWNLOAD_ORDERS.join(', ')}`);
+    }
+    this.downloadOrder = config.downloadOrder;
+    this.timeout = config.timeout;
+    this.stallTimeout = config.stallTimeout;
+    this.mirrorMinSpeed = config.mirrorMinSpeedKb * 1024;
+    
+    // What happens when two items resolve to the same path
+    if (!COLLISION_POLICIES.includes(config.filenameCollisions)) {
+      throw new Error(`Invalid FILENAME_COLLISIONS "${config.filenameCollisions}": use ${COLLISION_POLICIES.join(', ')}`);
+    }
+    this.filenameCollisions = config.filenameCollisions;
+    // Paths taken by each item, and the item holding each path
+    this.itemPaths = new Map();
+    this.pathOwners = new Map();
+    
+    // Segmented download configuration
+    this.segmentsPerFile = config.segmentsPerFile;
+    this.minSegmentSize = config.minSegmentSizeMb * 1024 * 1024;
+    
+    // Checksum configuration
+    this.checksumFiles = config.checksumFiles;
+    this.expectedChecksums = new Map();
+    
+    // Credentials and headers per host, from AUTH_FILE, NETRC_FILE and COOKIES_FILE
+    this.credentials = new Credentials(config);
+    this.secrets = this.credentials.secrets;
+    
+    // Proxy passwords are redacted as well
+    this.network.secrets.forEach(secret => this.secrets.add(secret));
+    // Hosts already warned about under INSECURE_TLS
+    this.insecureHosts = new Set();
+    
+    // Speed limits shared by every response stream
+    this.bandwidth = new BandwidthThrottle(config);
+    
+    // Unzip configuration; the rest is read by ArchiveExtractor
+    this.autoUnzip = config.autoUnzip;
+    this.streamExtract = config.streamExtract;
+    this.streamExtractKeepArchive = config.streamExtractKeepArchive;
+    
+    // Download items from options.items, a manifest or a list of URLs
+    this.manifestPath = config.manifest;
+    this.downloadItems = this.parseDownloadItems(options.items);
+    const duplicate = this.downloadItems.find((item, index) => this.downloadItems.findIndex(other => other.url === item.url) !== index);
+    if (duplicate) {
+      throw new Error(`${duplicate.url} is listed more than once: each URL may only be downloaded once per run`);
+    }
+    this.invalidItems = this.downloadItems.filter(item => item.invalid);
+    this.downloadItems = this.downloadItems.filter(item => !item.invalid);
+    
+    this.completed = 0;
+    this.failed = 0;
+    this.total = this.downloadItems.length + this.invalidItems.length;
+    this.interrupted = 0;
+    // Set when DISK_SPACE_POLICY=sequential finds the run does not fit on disk
+    this.sequential = false;
+  }
+
+  // Items passed in directly take the same fields as manifest entries and are validated the same way
+  parseDownloadItems(items) {
+    if (items) {
+      return items.map(normalizeEntry);
+    }
+    
+    // A manifest describes each file in full and takes precedence
+    if (this.manifestPath) {
+      return loadManifest(this.manifestPath);
+    }
+    
+    // "url|mirror|mirror" lists several URLs for the same file. An entry with an invalid URL is
+    // kept aside with the reason, to fail on its own without stopping the others.
+    return this.config.downloadUrls.map(value => {
+      const [url, ...mirrors] = value.split('|').map(part => part.trim()).filter(part => part);
+      try {
+        return { url: parseUrl(url, 'URL'), mirrors: mirrors.map(mirror => ({ url: parseUrl(mirror, 'mirror') })), checksum: parseUrlChecksum(url) || undefined };
+      } catch (error) {
+        return { url, invalid: error.message };
+      }
+    });
+  }
+
+  logSettings() {
+    this.log('info', `FileDownloader initialized`);
+    if (this.manifestPath) {
+      this.log('info', `Loaded ${this.total} entries from manifest ${this.manifestPath}`);
+    }
+    this.log('info', `Download directory: ${this.downloadDirectory}`);
+    this.log('info', `Concurrent downloads: ${this.concurrentDownloads}${this.maxDownloadsPerHost ? ` (max ${this.maxDownloadsPerHost} per host)` : ''}, order: ${this.downloadOrder}`);
+    const mirrored = this.downloadItems.filter(item => item.mirrors && item.mirrors.length > 0).length;
+    if (mirrored > 0) {
+      this.log('info', `Mirrors: ${mirrored} files have mirrors${this.mirrorMinSpeed > 0 ? ` (switching below ${this.formatBytes(this.mirrorMinSpeed)}/s)` : ''}`);
+    }
+    if (this.segmentsPerFile > 1) {
+      this.log('info', `Segmented downloads: up to ${this.segmentsPerFile} connections per file (min ${this.formatBytes(this.minSegmentSize)} per segment)`);
+    }
+    if (this.bandwidth.enabled) {
+      this.log('info', `Speed limits: ${this.bandwidth.describe()}${this.bandwidth.schedule.length > 0 ? ` (scheduled: ${this.bandwidth.schedule.map(w => w.entry).join(', ')})` : ''}`);
+      if (this.bandwidth.controlFile) {
+        this.log('info', `Speed control file: ${this.bandwidth.controlFile}`);
+      }
+    }
+    if (this.credentials.enabled) {
+      this.log('info', `Credentials: ${this.credentials.describe()}`);
+    }
+    if (this.network.describe()) {
+      this.log('info', `Network: ${this.network.describe()}`);
+    }
+    if (this.network.insecure) {
+      this.log('warn', 'INSECURE_TLS is on: TLS certificates are NOT verified, so anyone on the network path can read or alter downloads');
+    }
+    this.log('info', `Total files to download: ${this.total}`);
+    if (this.autoUnzip) {
+      this.log('info', `Auto-unzip enabled: ${this.unzipSourceDirectory} -> ${this.unzipDestinationDirectory}`);
+    }
+    if (this.streamExtract) {
+      this.log('info', `Streaming extraction enabled (${this.streamExtractKeepArchive ? 'keeping' : 'not keeping'} a copy of each archive)`);
+    }
+    this.logNestedSettings();
+    this.logSpaceSettings();
+    this.logNotifySettings();
+  }
+
+  async ensureDownloadDirectory() {
+    try {
+      await fs.ensureDir(this.downloadDirectory);
+      this.log('info', `Download directory ready: ${this.downloadDirectory}`);
+    } catch (error) {
+      this.log('error', `Failed to create download directory: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Content-Disposition wins, then the URL; a URL without an extension may get one from where it
+  // redirected to, or else from the content type. Names are sanitized wherever they come from.
+  getFileName(url, headers = {}, finalUrl = null) {
+    const contentDisposition = headers['content-disposition'];
+    if (contentDisposition) {
+      const fileName = sanitizeFileName(parseContentDisposition(contentDisposition) || '');
+      if (fileName) {
+        return fileName;
+      }
+    }
+    
+    // Fall back to URL parsing
+    let fileName = sanitizeFileName(path.basename(new URL(url).pathname));
+    if (finalUrl && finalUrl !== url && !path.extname(fileName)) {
+      const redirectedName = sanitizeFileName(path.basename(new URL(finalUrl).pathname));
+      if (path.extname(redirectedName)) {
+        fileName = redirectedName;
+      }
+    }
+    fileName = fileName || `file_${Date.now()}`;
+    
+    // If no extension, try to guess from content-type
+    if (!path.extname(fileName) && headers['content-type']) {
+      const contentType = headers['content-type'];
+      if (contentType.includes('application/zip')) return fileName + '.zip';
+      if (contentType.includes('application/pdf')) return fileName + '.pdf';
+      if (contentType.includes('text/')) return fileName + '.txt';
+      if (contentType.includes('image/')) {
+        if (contentType.includes('jpeg')) return fileName + '.jpg';
+        if (contentType.includes('png')) return fileName + '.png';
+      }
+    }
+    
+    return fileName;
+  }
+
+  // Where an item is saved. No two items share a path: with FILENAME_COLLISIONS=suffix a later
+  // item gets a numbered name ("data-2.csv"), with host it goes into a directory named after its
+  // host (numbered too if that host has the name twice), and with error it fails.
+  claimFilePath(item, fileName) {
+    const claimed = this.itemPaths.get(item.url);
+    if (claimed && claimed.fileName === fileName) {
+      return claimed.filePath;
+    }
+    
+    const directory = path.join(this.downloadDirectory, item.subdirectory || '');
+    const owner = this.pathOwners.get(path.join(directory, fileName));
+    let filePath = path.join(directory, fileName);
+    if (owner !== undefined && owner !== item.url) {
+      if (this.filenameCollisions === 'error') {
+        throw new Error(`${fileName} would overwrite the download of ${owner} (set a filename in the manifest or FILENAME_COLLISIONS=suffix or host)`);
+      }
+      const base = this.filenameCollisions === 'host' ? path.join(directory, sanitizeFileName(new URL(item.url).host)) : directory;
+      filePath = path.join(base, fileName);
+      for (let number = 2; this.isTakenByOther(filePath, item.url); number++) {
+        filePath = path.join(base, numberedName(fileName, number));
+      }
+      this.log('warn', `${fileName} is also the name of ${owner}, saving as ${path.relative(this.downloadDirectory, filePath)}`, { url: item.url, file: fileName });
+    }
+    
+    if (claimed && this.pathOwners.get(claimed.filePath) === item.url) {
+      this.pathOwners.delete(claimed.filePath);
+    }
+    this.itemPaths.set(item.url, { fileName, filePath });
+    this.pathOwners.set(filePath, item.url);
+    return filePath;
+  }
+
+  isTakenByOther(filePath, url) {
+    const owner = this.pathOwners.get(filePath);
+    return owner !== undefined && owner !== url;
+  }
+
+  // Claims every path in manifest order before anything runs, so the first of two items with
+  // the same name always keeps it. Names from Content-Disposition are only known later.
+  claimFilePaths() {
+    for (const item of this.downloadItems) {
+      const entry = this.journal.get('downloads', item.url);
+      if (entry && entry.status === 'completed' && entry.filePath) {
+        this.itemPaths.set(item.url, { fileName: entry.fileName, filePath: entry.filePath });
+        this.pathOwners.set(entry.filePath, item.url);
+      }
+    }
+    for (const item of this.downloadItems) {
+      if (!this.itemPaths.has(item.url)) {
+        this.claimFilePath(item, item.fileName || this.getFileName(item.url));
+      }
+    }
+  }
+
+  // The path claimed for an item, or where it would go without a claim
+  getFilePath(item) {
+    const claimed = this.itemPaths.get(item.url);
+    return claimed ? claimed.filePath : path.join(this.downloadDirectory, item.subdirectory || '', item.fileName || this.getFileName(item.url));
+  }
+
+  async loadChecksums() {
+    for (const source of this.checksumFiles) {
+      try {
+        const text = /^https?:\/\//.test(source)
+          ? (await axios.get(source, { timeout: this.timeout, responseType: 'text', headers: this.getRequestHeaders({ url: source }), ...this.getNetworkOptions(source) })).data
+          : await fs.readFile(source, 'utf8');
+        
+        const checksums = parseChecksumList(text);
+        checksums.forEach((checksum, fileName) => this.expectedChecksums.set(fileName, checksum));
+        this.log('info', `Loaded ${checksums.size} checksums from ${source}`);
+      } catch (error) {
+        this.log('error', `Failed to load checksum file ${source}: ${error.message}`);
+        throw error;
+      }
+    }
+  }
+
+  // Checksums declared on the item itself win over the publisher lists
+  getExpectedChecksum(item, fileName) {
+    return item.checksum || this.expectedChecksums.get(fileName) || null;
+  }
+
+  // Every request for an item, HEAD or GET, goes out with the same credentials and headers.
+  // During a download they are those of the mirror in use.
+  getRequestHeaders(item, extraHeaders = {}) {
+    return {
+      'User-Agent': 'FileDownloader/1.0.0',
+      ...this.credentials.headersFor(item.source || item),
+      ...extraHeaders
+    };
+  }
+
+  // Every request goes through the proxy chosen for its host; under INSECURE_TLS each host is warned about once
+  getNetworkOptions(url) {
+    const { protocol, host } = new URL(url);
+    if (this.network.insecure && protocol === 'https:' && !this.insecureHosts.has(host)) {
+      this.insecureHosts.add(host);
+      this.log('warn', `Not verifying the TLS certificate of ${host} (INSECURE_TLS)`, { url });
+    }
+    return this.network.requestOptions(url);
+  }
+
+  async verifyChecksum(fileName, partPath, metaPath, expected, actualDigest) {
+    if (actualDigest === expected.digest) {
+      this.log('info', `Checksum verified for ${fileName} (${expected.algorithm})`, { file: fileName });
+      return;
+    }
+    
+    // A corrupt partial cannot be resumed, so the retry has to start from scratch
+    await fs.remove(partPath);
+    await fs.remove(metaPath);
+    const error = new Error(`Checksum mismatch for ${fileName}: expected ${expected.algorithm} ${expected.digest}, got ${actualDigest}`);
+    error.code = 'ECHECKSUM';
+    throw error;
+  }
+
+  getResumeValidator(headers = {}) {
+    // If-Range needs a strong ETag; fall back to Last-Modified otherwise
+    const etag = headers['etag'];
+    if (etag && !etag.startsWith('W/')) return etag;
+    return headers['last-modified'] || null;
+  }
+
+  async readPartialMeta(metaPath) {
+    try {
+      return await fs.readJson(metaPath);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async preparePartialFile(url, fileName, filePath, headers) {
+    const context = { url, file: fileName };
+    const partPath = `${filePath}.part`;
+    const metaPath = `${filePath}.part.json`;
+    const contentLength = parseInt(headers['content-length']) || 0;
+    const acceptsRanges = (headers['accept-ranges'] || '').toLowerCase() === 'bytes';
+    const validator = this.getResumeValidator(headers);
+    
+    // Files written before .part support may have been left truncated under their final name
+    if (await fs.pathExists(filePath)) {
+      const stats = await fs.stat(filePath);
+      if (acceptsRanges && contentLength > 0 && stats.size < contentLength && !await fs.pathExists(partPath)) {
+        this.log('warn', `File exists but is incomplete, resuming: ${fileName}`, context);
+        await fs.move(filePath, partPath);
+      } else {
+        this.log('warn', `File exists but size mismatch, re-downloading: ${fileName}`, context);
+        await fs.remove(filePath);
+      }
+    }
+    
+    let offset = 0;
+    let segments = null;
+    if (await fs.pathExists(partPath)) {
+      const stats = await fs.stat(partPath);
+      const meta = await this.readPartialMeta(metaPath);
+      const sameRemote = !meta || (meta.validator === validator && meta.contentLength === contentLength);
+      // Another mirror's partial is only continued when both report the same strong ETag and size
+      const otherMirror = meta && meta.url !== url;
+      
+      if (!acceptsRanges) {
+        this.log('warn', `Server does not support ranges, restarting download: ${fileName}`, context);
+      } else if (!sameRemote) {
+        this.log('warn', `Remote file changed since partial download, restarting: ${fileName}`, context);
+      } else if (otherMirror && validator !== headers['etag']) {
+        this.log('warn', `Partial download came from another mirror without a matching ETag, restarting: ${fileName}`, context);
+      } else if (meta && meta.segments) {
+        // Segmented partials are preallocated, so their size says nothing about progress
+        segments = meta.segments;
+      } else if (contentLength > 0 && stats.size > contentLength) {
+        this.log('warn', `Partial file larger than remote file, restarting: ${fileName}`, context);
+      } else {
+        offset = stats.size;
+      }
+      if (otherMirror && (offset > 0 || segments)) {
+        this.log('info', `Continuing ${fileName} from another mirror`, context);
+      }
+      
+      if (offset === 0 && !segments) {
+        await fs.remove(partPath);
+      }
+    }
+    
+    await fs.writeJson(metaPath, { url, validator, contentLength, segments });
+    return { partPath, metaPath, offset, validator, segments };
+  }
+
+  planSegments(contentLength, offset) {
+    const segmentCount = Math.min(this.segmentsPerFile, Math.floor((contentLength - offset) / this.minSegmentSize));
+    if (segmentCount < 2) return null;
+    
+    // Bytes already fetched by a single-stream attempt become a finished segment
+    const segments = [];
+    if (offset > 0) {
+      segments.push({ start: 0, end: offset - 1, done: offset });
+    }
+    
+    const segmentSize = Math.ceil((contentLength - offset) / segmentCount);
+    for (let start = offset; start < contentLength; start += segmentSize) {
+      segments.push({ start, end: Math.min(start + segmentSize, contentLength) - 1, done: 0 });
+    }
+    return segments;
+  }
+
+  segmentProgress(segment) {
+    return segment.writeStream ? segment.base + segment.writeStream.bytesWritten : segment.done;
+  }
+
+  async saveSegments(metaPath, meta, segments) {
+    await fs.writeJson(metaPath, {
+      ...meta,
+      segments: segments.map(segment => ({ start: segment.start, end: segment.end, done: this.segmentProgress(segment) }))
+    });
+  }
+
+  async downloadFile(item, attempt = 1) {
+    const { url } = item;
+    const context = { url, attempt };
+    try {
+      this.log('info', `Starting download: ${url} (attempt ${attempt})`, context);
+      
+      const previous = this.journal.get('downloads', url) || {};
+      const attempts = (previous.attempts || 0) + 1;
+      this.journal.update('downloads', url, { status: 'in_progress', attempts });
+      this.emit('start', { type: 'download', url, attempt: attempts });
+      
+      const result = await this.transferFromMirrors(item, context);
+      
+      this.journal.update('downloads', url, {
+        status: 'completed',
+        fileName: result.fileName,
+        filePath: result.filePath,
+        mirror: result.mirror,
+        lastError: null
+      });
+      await this.journal.flush();
+      return result;
+      
+    } catch (error) {
+      // Partial data stays in the .part file, so the next run resumes from it
+      if (this.shuttingDown) {
+        this.log('warn', `Download interrupted: ${url}`, context);
+        this.journal.update('downloads', url, { status: 'interrupted', lastError: 'Interrupted by shutdown' });
+        await this.journal.flush();
+        return { success: false, interrupted: true, error: 'Interrupted by shutdown', url, item };
+      }
+      
+      this.log('error', `Failed to download ${url} (attempt ${attempt}): ${error.message}`, context);
+      
+      const failed = !this.shouldRetry(attempt, error, context);
+      this.journal.update('downloads', url, { status: failed ? 'failed' : 'pending', lastError: error.message });
+      await this.journal.flush();
+      
+      if (!failed) {
+        this.emitRetry('download', url, attempt, error);
+        const delay = this.retryDelayFor(attempt, error);
+        this.log('info', `Retrying in ${(delay / 1000).toFixed(1)} seconds...`, context);
+        await this.delay(delay);
+        return this.downloadFile(item, attempt + 1);
+      } else {
+        return { success: false, error: error.message, url, item };
+      }
+    }
+  }
+
+  // The item's own URL (with its headers and auth), then its mirrors. The mirror a previous run
+  // finished or was interrupted on goes first, so its partial download can be continued.
+  getSources(item) {
+    const sources = [{ url: item.url, headers: item.headers, auth: item.auth }, ...(item.mirrors || [])];
+    const entry = this.journal.get('downloads', item.url);
+    const last = entry && entry.mirror ? sources.findIndex(source => source.url === entry.mirror) : -1;
+    return last > 0 ? [sources[last], ...sources.filter((source, index) => index !== last)] : sources;
+  }
+
+  // Tries each source in turn until one delivers the file; only when all of them fail does the
+  // attempt fail. Results of items with mirrors say which one served the file.
+  async transferFromMirrors(item, context) {
+    const sources = this.getSources(item);
+    const errors = [];
+    const failures = [];
+    for (const [index, source] of sources.entries()) {
+      const host = new URL(source.url).host;
+      if (sources.length > 1) {
+        this.log('info', `Downloading ${path.basename(this.getFilePath(item))} from mirror ${host} (${index + 1}/${sources.length})`, context);
+      }
+      try {
+        const result = await this.transferFrom(item, source, index < sources.length - 1);
+        return sources.length > 1 ? { ...result, mirror: source.url } : result;
+      } catch (error) {
+        if (this.shuttingDown || error.code === 'EEXTRACTLIMIT' || sources.length === 1) {
+          if (this.shuttingDown && sources.length > 1) {
+            this.journal.update('downloads', item.url, { mirror: source.url });
+          }
+          throw error;
+        }
+        errors.push(error);
+        failures.push(`${host}: ${error.message}`);
+        if (index < sources.length - 1) {
+          this.log('warn', `Mirror ${host} failed: ${error.message}. Trying the next mirror`, context);
+          this.emitRetry('mirror', item.url, context.attempt, error);
+        }
+      }
+    }
+    // Only permanent if it was permanent on every mirror (see isPermanentError)
+    throw new AggregateError(errors, `All ${sources.length} mirrors failed (${failures.join('; ')})`, { cause: errors[errors.length - 1] });
+  }
+
+  // A download from one source. The copy of the item it works on carries the source and a signal
+  // that also fires when the source stays under MIRROR_MIN_SPEED_KB while another one is left.
+  async transferFrom(item, source, hasNextMirror) {
+    const controller = new AbortController();
+    const transfer = { ...item, source, signal: AbortSignal.any([this.abortController.signal, controller.signal]) };
+    const stopWatching = hasNextMirror && this.mirrorMinSpeed > 0 ? this.watchMirrorSpeed(item.url, controller) : null;
+    try {
+      return { ...await this.transferFile(transfer), item };
+    } catch (error) {
+      throw controller.signal.aborted ? controller.signal.reason : error;
+    } finally {
+      if (stopWatching) stopWatching();
+    }
+  }
+
+  watchMirrorSpeed(url, controller) {
+    let received = 0;
+    const onProgress = (event) => {
+      if (event.url === url) received += event.bytes;
+    };
+    const timer = setInterval(() => {
+      const speed = received / (MIRROR_SPEED_WINDOW_MS / 1000);
+      received = 0;
+      if (speed < this.mirrorMinSpeed) {
+        controller.abort(new Error(`Mirror too slow: ${this.formatBytes(speed)}/s over ${MIRROR_SPEED_WINDOW_MS / 1000} seconds`));
+      }
+    }, MIRROR_SPEED_WINDOW_MS);
+    this.on('progress', onProgress);
+    return () => {
+      clearInterval(timer);
+      this.off('progress', onProgress);
+    };
+  }
+
+  // File details for a request item (an item in a download, or a source): a HEAD request, or a
+  // GET for the first byte when the server refuses HEAD. The GET's headers are made to look like
+  // a HEAD reply, with the full length from Content-Range and range support if the range was
+  // honoured. Resolves with { status, headers, finalUrl }, finalUrl being where redirects led.
+  async fetchHeaders(item, signal) {
+    const { url } = item.source || item;
+    const options = { timeout: this.timeout, signal, ...this.getNetworkOptions(url) };
+    const finalUrlOf = (response) => (response.request && response.request.res && response.request.res.responseUrl) || url;
+    
+    try {
+      const response = await axios.head(url, { ...options, headers: this.getRequestHeaders(item) });
+      return { status: response.status, headers: response.headers, finalUrl: finalUrlOf(response) };
+    } catch (error) {
+      if (!error.response || !HEAD_FALLBACK_STATUSES.includes(error.response.status)) throw error;
+      this.log('debug', `HEAD ${url}: HTTP ${error.response.status}, asking with a GET for the first byte instead`, { url: item.url });
+    }
+    
+    const response = await axios.get(url, {
+      ...options,
+      responseType: 'stream',
+      headers: this.getRequestHeaders(item, { 'Range': 'bytes=0-0' })
+    });
+    response.data.destroy();
+    
+    const headers = { ...response.headers };
+    if (response.status === 206) {
+      const total = parseInt((headers['content-range'] || '').split('/')[1]);
+      if (total > 0) {
+        headers['content-length'] = String(total);
+      } else {
+        delete headers['content-length'];
+      }
+      headers['accept-ranges'] = 'bytes';
+      delete headers['content-range'];
+    }
+    return { status: response.status, headers, finalUrl: finalUrlOf(response) };
+  }
+
+  async transferFile(item) {
+    const { url } = item.source;
+    
+    // First, ask for the file info
+    const headResponse = await this.fetchHeaders(item, item.signal);
+    const filePath = this.claimFilePath(item, item.fileName || this.getFileName(item.url, headResponse.headers, headResponse.finalUrl));
+    const fileName = path.basename(filePath);
+    const targetDirectory = path.dirname(filePath);
+    const reportedLength = parseInt(headResponse.headers['content-length']) || 0;
+    const expectedLength = item.size || reportedLength;
+    this.log('debug', `HEAD ${url}: HTTP ${headResponse.status}, ${reportedLength || 'unknown'} bytes, accept-ranges ${headResponse.headers['accept-ranges'] || 'none'}`, { url: item.url, file: fileName });
+    
+    if (item.size && reportedLength && item.size !== reportedLength) {
+      throw new Error(`Size mismatch for ${fileName}: manifest says ${item.size} bytes, server reports ${reportedLength}`);
+    }
+    
+    await fs.ensureDir(targetDirectory);
+    
+    // Check if file already exists
+    if (await fs.pathExists(filePath)) {
+      const stats = await fs.stat(filePath);
+      
+      if (expectedLength > 0 && stats.size === expectedLength) {
+        // The right size is not enough when a checksum is declared: the bytes may still be corrupt
+        const expected = this.getExpectedChecksum(item, fileName);
+        if (!expected || await hashFile(filePath, expected.algorithm) === expected.digest) {
+          this.log('info', `File already exists and is complete: ${fileName}`, { url: item.url, file: fileName });
+          return { success: true, fileName, filePath, item, skipped: true };
+        }
+        this.log('warn', `File exists but fails its ${expected.algorithm} checksum, re-downloading: ${fileName}`, { url: item.url, file: fileName });
+        await fs.remove(filePath);
+      }
+    }
+    
+    if (this.shouldStreamExtract(item, fileName)) {
+      return await this.downloadAndExtract(item, fileName, filePath);
+    }
+    
+    const partial = await this.preparePartialFile(url, fileName, filePath, headResponse.headers);
+    if (!partial.segments && expectedLength > 0 && partial.offset === expectedLength) {
+      return await this.completePartialFile(item, fileName, filePath, partial);
+    }
+    
+    const acceptsRanges = (headResponse.headers['accept-ranges'] || '').toLowerCase() === 'bytes';
+    const segments = partial.segments || (acceptsRanges && expectedLength > 0 && this.planSegments(expectedLength, partial.offset));
+    
+    if (segments) {
+      try {
+        return await this.downloadSegmented(item, fileName, filePath, expectedLength, { ...partial, segments });
+      } catch (error) {
+        if (error.code !== 'ERANGEIGNORED') throw error;
+        
+        this.log('warn', `Server ignored segment range request, falling back to a single stream: ${fileName}`, { url: item.url, file: fileName });
+        await fs.remove(partial.partPath);
+        await fs.writeJson(partial.metaPath, { url, validator: partial.validator, contentLength: expectedLength });
+        return await this.downloadSingleStream(item, fileName, filePath, expectedLength, { ...partial, offset: 0 });
+      }
+    }
+    
+    return await this.downloadSingleStream(item, fileName, filePath, expectedLength, partial);
+  }
+
+  // A partial that already holds every byte only needs checking and renaming: asking for the
+  // range after its last byte would be answered with a 416
+  async completePartialFile(item, fileName, filePath, { partPath, metaPath, offset }) {
+    const expected = this.getExpectedChecksum(item, fileName);
+    if (expected) {
+      await this.verifyChecksum(fileName, partPath, metaPath, expected, await hashFile(partPath, expected.algorithm));
+    }
+    
+    await fs.move(partPath, filePath, { overwrite: true });
+    await fs.remove(metaPath);
+    
+    this.log('info', `Partial download was already complete: ${fileName} (${this.formatBytes(offset)})`, { url: item.url, file: fileName });
+    return { success: true, fileName, filePath, item, bytes: 0, resumedFrom: offset };
+  }
+
+  async downloadSingleStream(item, fileName, filePath, expectedLength, { partPath, metaPath, offset, validator }) {
+    const context = { url: item.url, file: fileName };
+    const requestHeaders = this.getRequestHeaders(item);
+    if (offset > 0) {
+      requestHeaders['Range'] = `bytes=${offset}-`;
+      if (validator) {
+        requestHeaders['If-Range'] = validator;
+      }
+      this.log('info', `Resuming ${fileName} from ${this.formatBytes(offset)}`, context);
+    }
+    
+    // Download the file
+    const response = await axios({
+      method: 'GET',
+      url: item.source.url,
+      responseType: 'stream',
+      timeout: this.timeout,
+      headers: requestHeaders,
+      signal: item.signal,
+      ...this.getNetworkOptions(item.source.url)
+    });
+    this.log('debug', `GET ${item.source.url}: HTTP ${response.status}${offset > 0 ? ` for ${requestHeaders['Range']}` : ''}`, context);
+    
+    // A 200 in reply to a ranged request means the server is sending the whole (possibly changed) file
+    let startByte = 0;
+    if (offset > 0 && response.status === 206) {
+      const rangeStart = parseInt((response.headers['content-range'] || '').replace(/^bytes\s+/, ''));
+      if (rangeStart !== offset) {
+        response.data.destroy();
+        throw new Error(`Unexpected Content-Range for ${fileName}: ${response.headers['content-range']}`);
+      }
+      startByte = offset;
+    } else if (offset > 0) {
+      this.log('warn', `Server ignored range request, restarting download: ${fileName}`, context);
+    }
+    
+    // Hash while streaming; a resumed download first re-reads the bytes already on disk
+    const expected = this.getExpectedChecksum(item, fileName);
+    const hash = expected && crypto.createHash(expected.algorithm);
+    if (hash && startByte > 0) {
+      await updateHashFromFile(hash, partPath, startByte);
+    }
+    
+    const writeStream = fs.createWriteStream(partPath, { flags: startByte > 0 ? 'a' : 'w' });
+    
+    // Track download progress
+    const contentLength = startByte + (parseInt(response.headers['content-length']) || 0);
+    let downloadedBytes = startByte;
+    
+    response.data.on('data', (chunk) => {
+      downloadedBytes += chunk.length;
+      this.journal.update('downloads', item.url, { bytesDone: downloadedBytes });
+      this.emitProgress(item, { url: item.url, fileName, bytes: chunk.length, bytesDone: downloadedBytes, totalBytes: contentLength });
+      if (hash) {
+        hash.update(chunk);
+      }
+      if (contentLength > 0) {
+        const progress = ((downloadedBytes / contentLength) * 100).toFixed(1);
+        if (downloadedBytes % (1024 * 1024) < chunk.length) { // Log every MB
+          this.log('info', `Downloading ${fileName}: ${progress}% (${this.formatBytes(downloadedBytes)}/${this.formatBytes(contentLength)})`, context);
+        }
+      }
+    });
+    
+    this.watchStall(response.data, fileName);
+    await streamPipeline(response.data, this.bandwidth.throttle(item.source.url), writeStream);
+    
+    if (contentLength > startByte && downloadedBytes !== contentLength) {
+      throw new Error(`Incomplete download: got ${downloadedBytes} of ${contentLength} bytes`);
+    }
+    if (item.size && downloadedBytes !== item.size) {
+      throw new Error(`Size mismatch for ${fileName}: expected ${item.size} bytes, got ${downloadedBytes}`);
+    }
+    
+    if (expected) {
+      await this.verifyChecksum(fileName, partPath, metaPath, expected, hash.digest('hex'));
+    }
+    
+    // Only expose the file under its final name once it is complete
+    await fs.move(partPath, filePath, { overwrite: true });
+    await fs.remove(metaPath);
+    
+    this.log('info', `Successfully downloaded: ${fileName} (${this.formatBytes(downloadedBytes)})`, context);
+    return { success: true, fileName, filePath, item, bytes: downloadedBytes - startByte, resumedFrom: startByte };
+  }
+
+  // Bytes written count against the disk space reserved for the download rather than on top of it
+  emitProgress(item, progress) {
+    const reservation = this.spaceReservations.get(item.url);
+    if (reservation) reservation.written(progress.bytes);
+    this.emit('progress', progress);
+  }
+
+  // TIMEOUT_MS only covers the wait for a response; a body that stops arriving part way is failed
+  // here after STALL_TIMEOUT_MS without data, so the attempt can be retried
+  watchStall(stream, label) {
+    if (!this.stallTimeout) return;
+    let timer;
+    const stall = () => {
+      const error = new Error(`No data received for ${this.stallTimeout / 1000} seconds: ${label}`);
+      error.code = 'ESTALLED';
+      stream.destroy(error);
+    };
+    const restart = () => {
+      clearTimeout(timer);
+      timer = setTimeout(stall, this.stallTimeout);
+    };
+    stream.on('data', restart);
+    stream.once('close', () => clearTimeout(timer));
+    restart();
+  }
+
+  async downloadSegment(item, partPath, segment, validator, onData, attempt = 1) {
+    const from = segment.start + segment.done;
+    if (from > segment.end) return;
+    
+    try {
+      const requestHeaders = this.getRequestHeaders(item, { 'Range': `bytes=${from}-${segment.end}` });
+      if (validator) {
+        requestHeaders['If-Range'] = validator;
+      }
+      
+      const response = await axios({
+        method: 'GET',
+        url: item.source.url,
+        responseType: 'stream',
+        timeout: this.timeout,
+        headers: requestHeaders,
+        signal: item.signal,
+        ...this.getNetworkOptions(item.source.url)
+      });
+      this.log('debug', `Segment ${segment.start}-${segment.end}: HTTP ${response.status} for ${requestHeaders['Range']}`, { url: item.url, attempt });
+      
+      if (response.status !== 206) {
+        response.data.destroy();
+        const error = new Error(`Server ignored range request (HTTP ${response.status})`);
+        error.code = 'ERANGEIGNORED';
+        throw error;
+      }
+      
+      // Progress is counted from bytes flushed to disk so checkpoints never point past a hole
+      segment.base = segment.done;
+      segment.writeStream = fs.createWriteStream(partPath, { flags: 'r+', start: from });
+      response.data.on('data', (chunk) => onData(chunk.length));
+      this.watchStall(response.data, `segment ${segment.start}-${segment.end}`);
+      
+      try {
+        await streamPipeline(response.data, this.bandwidth.throttle(item.source.url), segment.writeStream);
+      } finally {
+        segment.done = this.segmentProgress(segment);
+        segment.writeStream = null;
+      }
+      
+      if (segment.start + segment.done !== segment.end + 1) {
+        throw new Error(`Segment ${segment.start}-${segment.end} ended early at ${segment.start + segment.done}`);
+      }
+      
+    } catch (error) {
+      if (error.code === 'ERANGEIGNORED' || this.shuttingDown || item.signal.aborted || !this.shouldRetry(attempt, error, { url: item.url, attempt })) {
+        throw error;
+      }
+      
+      this.emitRetry('segment', item.url, attempt, error);
+      const delay = this.retryDelayFor(attempt, error);
+      this.log('warn', `Segment ${segment.start}-${segment.end} failed (attempt ${attempt}): ${error.message}. Retrying in ${(delay / 1000).toFixed(1)} seconds...`, { url: item.url, attempt });
+      await this.delay(delay);
+      return this.downloadSegment(item, partPath, segment, validator, onData, attempt + 1);
+    }
+  }
+
+  async downloadSegmented(item, fileName, filePath, contentLength, { partPath, metaPath, validator, segments }) {
+    const context = { url: item.url, file: fileName };
+    const meta = { url: item.source.url, validator, contentLength };
+    const resumedFrom = segments.reduce((sum, segment) => sum + segment.done, 0);
+    const pending = segments.filter(segment => segment.start + segment.done <= segment.end);
+    
+    this.log('info', `Downloading ${fileName} in ${pending.length} segments${resumedFrom > 0 ? ` (resuming from ${this.formatBytes(resumedFrom)})` : ''}`, context);
+    
+    // Segments write into the same file at their own offsets, so never truncate it here
+    await fs.ensureFile(partPath);
+    await this.saveSegments(metaPath, meta, segments);
+    
+    let downloadedBytes = resumedFrom;
+    const onData = (length) => {
+      downloadedBytes += length;
+      this.journal.update('downloads', item.url, { bytesDone: downloadedBytes });
+      this.emitProgress(item, { url: item.url, fileName, bytes: length, bytesDone: downloadedBytes, totalBytes: contentLength });
+      if (downloadedBytes % (1024 * 1024) < length) { // Log every MB
+        const progress = ((downloadedBytes / contentLength) * 100).toFixed(1);
+        this.log('info', `Downloading ${fileName}: ${progress}% (${this.formatBytes(downloadedBytes)}/${this.formatBytes(contentLength)})`, context);
+      }
+    };
+    
+    let checkpointing = false;
+    const checkpoint = setInterval(() => {
+      if (checkpointing) return;
+      checkpointing = true;
+      this.saveSegments(metaPath, meta, segments)
+        .catch(error => this.log('warn', `Could not save segment progress for ${fileName}: ${error.message}`))
+        .finally(() => { checkpointing = false; });
+    }, 5000);
+    
+    // Wait for every segment to settle so a failed one never leaves others writing behind a retry
+    let results;
+    try {
+      results = await Promise.allSettled(pending.map(segment => this.downloadSegment(item, partPath, segment, validator, onData)));
+    } finally {
+      clearInterval(checkpoint);
+      await this.saveSegments(metaPath, meta, segments);
+    }
+    
+    const failure = results.find(result => result.status === 'rejected');
+    if (failure) {
+      throw failure.reason;
+    }
+    
+    const stats = await fs.stat(partPath);
+    if (stats.size !== contentLength) {
+      throw new Error(`Incomplete download: got ${stats.size} of ${contentLength} bytes`);
+    }
+    
+    // Segments arrive out of order, so the digest can only be taken once the file is whole
+    const expected = this.getExpectedChecksum(item, fileName);
+    if (expected) {
+      await this.verifyChecksum(fileName, partPath, metaPath, expected, await hashFile(partPath, expected.algorithm));
+    }
+    
+    await fs.move(partPath, filePath, { overwrite: true });
+    await fs.remove(metaPath);
+    
+    this.log('info', `Successfully downloaded: ${fileName} (${this.formatBytes(contentLength)}, ${pending.length} segments)`, context);
+    return { success: true, fileName, filePath, item, bytes: contentLength - resumedFrom, resumedFrom, segments: pending.length };
+  }
+
+  // Streams only archives that would be extracted after downloading anyway
+  shouldStreamExtract(item, fileName) {
+    if (!this.streamExtract || item.extract === false || !this.isSupportedArchive(fileName) || this.isSpannedZipVolume(fileName)) {
+      return false;
+    }
+    return item.extract === true || this.autoUnzip;
+  }
+
+  // The .zip of a spanned set (data.z01, data.z02, ..., data.zip) is its last volume and cannot be read alone
+  isSpannedZipVolume(fileName) {
+    if (!/\.zip$/i.test(fileName)) return false;
+    const base = fileName.slice(0, -4);
+    return this.downloadItems.some(other => {
+      const match = (other.fileName || this.getFileName(other.url)).match(/^(.+)\.z\d{2,}$/i);
+      return match !== null && match[1] === base;
+    });
+  }
+
+  getExtractionDestination(item, fileName) {
+    if (item.extractTo) {
+      return path.resolve(this.unzipDestinationDirectory, item.extractTo);
+    }
+    return path.join(this.unzipDestinationDirectory, path.parse(fileName).name);
+  }
+
+  async downloadAndExtract(item, fileName, filePath) {
+    const destinationDir = this.getExtractionDestination(item, fileName);
+    // Nothing has arrived yet to inspect, so a stream goes by its file name
+    const { type: archiveType, compression } = formatFromName(fileName);
+    const partPath = `${filePath}.part`;
+    const context = { url: item.url, file: fileName };
+    
+    const target = archiveType === 'file' ? `${compression} decompression` : `${archiveType} extraction`;
+    this.log('info', `Streaming ${fileName} straight into ${target} -> ${destinationDir}`, context);
+    await fs.ensureDir(destinationDir);
+    
+    // The marker stays behind if the stream does not finish, flagging the output as partial
+    const markerPath = path.join(destinationDir, `.incomplete-${fileName}`);
+    await fs.outputJson(markerPath, { source: item.url, startedAt: new Date().toISOString() });
+    
+    const response = await axios({
+      method: 'GET',
+      url: item.source.url,
+      responseType: 'stream',
+      timeout: this.timeout,
+      headers: this.getRequestHeaders(item),
+      signal: item.signal,
+      ...this.getNetworkOptions(item.source.url)
+    });
+    
+    const expected = this.getExpectedChecksum(item, fileName);
+    const hash = expected && crypto.createHash(expected.algorithm);
+    const contentLength = parseInt(response.headers['content-length']) || 0;
+    let downloadedBytes = 0;
+    
+    response.data.on('data', (chunk) => {
+      downloadedBytes += chunk.length;
+      this.journal.update('downloads', item.url, { bytesDone: downloadedBytes });
+      this.emitProgress(item, { url: item.url, fileName, bytes: chunk.length, bytesDone: downloadedBytes, totalBytes: contentLength });
+      if (hash) {
+        hash.update(chunk);
+      }
+      if (downloadedBytes % (1024 * 1024) < chunk.length) { // Log every MB
+        const progress = contentLength > 0 ? `${((downloadedBytes / contentLength) * 100).toFixed(1)}% ` : '';
+        this.log('info', `Downloading and extracting ${fileName}: ${progress}(${this.formatBytes(downloadedBytes)}${contentLength > 0 ? `/${this.formatBytes(contentLength)}` : ''})`, context);
+      }
+    });
+    
+    this.watchStall(response.data, fileName);
+    
+    const stats = { files: 0, size: 0 };
+    // The archive size is not known up front, so the ratio is judged against what has arrived so far
+    const guard = this.createExtractionGuard(destinationDir, () => downloadedBytes);
+    const { signal } = item;
+    const decompress = compression ? [createDecompressor(compression)] : [];
+    let extraction;
+    if (archiveType === 'zip') {
+      extraction = pipelineAsync(response.data, this.bandwidth.throttle(item.source.url), ...this.createZipStreamExtractor(destinationDir, stats, guard), { signal });
+    } else if (archiveType === 'tar') {
+      extraction = pipelineAsync(response.data, this.bandwidth.throttle(item.source.url), ...decompress, this.createTarExtractor(destinationDir, guard, (entry) => {
+        if (entry.type === 'File') {
+          stats.files++;
+          stats.size += entry.size;
+        }
+      }), { signal });
+    } else {
+      guard.addFile();
+      const outputPath = path.join(destinationDir, decompressedName(fileName));
+      extraction = pipelineAsync(response.data, this.bandwidth.throttle(item.source.url), ...decompress, guard.byteCounter(), fs.createWriteStream(outputPath), { signal }).then(() => {
+        stats.files = 1;
+        stats.size = guard.bytes;
+      });
+    }
+    
+    // Piping the response to a second destination keeps a copy; backpressure applies to both,
+    // so the throttled extraction paces the copy as well
+    const copy = this.streamExtractKeepArchive
+      ? pipelineAsync(response.data, fs.createWriteStream(partPath), { signal })
+      : null;
+    
+    await Promise.all([extraction, copy]).catch((error) => {
+      throw guard.limitError || error;
+    });
+    
+    if (contentLength > 0 && downloadedBytes !== contentLength) {
+      throw new Error(`Incomplete download: got ${downloadedBytes} of ${contentLength} bytes`);
+    }
+    if (expected) {
+      await this.verifyChecksum(fileName, partPath, `${filePath}.part.json`, expected, hash.digest('hex'));
+    }
+    
+    if (copy) {
+      await fs.move(partPath, filePath, { overwrite: true });
+    }
+    
+    this.reportRejectedEntries(fileName, guard);
+    this.log('info', `Successfully downloaded and extracted: ${fileName} (${this.formatBytes(downloadedBytes)} -> ${stats.files} files, ${this.formatBytes(stats.size)})`, context);
+    let result = {
+      success: true,
+      fileName,
+      filePath,
+      item,
+      bytes: downloadedBytes,
+      streamExtracted: true,
+      destinationDir,
+      extractedFiles: stats.files,
+      extractedSize: stats.size,
+      rejectedEntries: guard.rejected
+    };
+    
+    // Inner archives are extracted from disk once the stream is done; if any fail, the
+    // download is retried and the ones already extracted are skipped through the journal
+    if (this.nestedExtractionDepth > 0) {
+      result = await this.extractNestedArchives(result, 1);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+    }
+    await fs.remove(markerPath);
+    
+    // Record the extraction so the post-download pass does not redo it for a kept copy
+    this.journal.update('extractions', filePath, { status: 'completed', destinationDir, bytesDone: result.extractedSize, lastError: null });
+    this.extractedFiles++;
+    
+    return result;
+  }
+
+  reportSplitArchives(archives) {
+    for (const archive of archives.filter(a => a.parts)) {
+      if (archive.missingParts.length > 0) {
+        this.log('warn', `Split archive ${archive.name} is missing parts: ${archive.missingParts.join(', ')}`);
+      } else {
+        this.log('info', `Split archive ${archive.name}: ${archive.parts.length} parts, ${this.formatBytes(archive.size)}`);
+      }
+    }
+  }
+
+  // Manifest entries can force extraction on or off for their own file, whatever AUTO_UNZIP says
+  async selectArchives(downloadResults) {
+    const archiveFiles = this.autoUnzip ? await this.findArchiveFiles() : [];
+    const forcedFiles = [];
+    
+    for (const result of downloadResults) {
+      // A result may be one part of a split set, in which case the setting applies to the whole set
+      const index = archiveFiles.findIndex(archive => archive.path === result.filePath || (archive.parts && archive.parts.includes(result.filePath)));
+      
+      // Archives extracted while downloading (or right after, in sequential mode) are already done
+      if (result.streamExtracted || result.extraction) {
+        if (index !== -1) {
+          archiveFiles.splice(index, 1);
+        }
+        continue;
+      }
+      
+      if (!result.success || !result.item || result.item.extract === undefined) continue;
+      
+      if (index !== -1) {
+        archiveFiles.splice(index, 1);
+      }
+      
+      if (result.item.extract) {
+        const stats = await fs.stat(result.filePath);
+        forcedFiles.push({
+          path: result.filePath,
+          name: result.fileName,
+          size: stats.size,
+          destinationDir: result.item.extractTo && path.resolve(this.unzipDestinationDirectory, result.item.extractTo)
+        });
+      }
+    }
+    
+    // Forced parts of a split set are only extractable together, so they are grouped like a scan
+    const forcedArchives = await groupSplitArchives(forcedFiles);
+    this.reportSplitArchives(forcedArchives);
+    return [...archiveFiles, ...forcedArchives];
+  }
+
+  async extractAllArchives(downloadResults = []) {
+    await fs.ensureDir(this.unzipDestinationDirectory);
+    
+    const archiveFiles = await this.selectArchives(downloadResults);
+    
+    if (archiveFiles.length === 0) {
+      this.log('info', 'No archive files found to extract');
+      return [];
+    }
+    
+    return this.extractArchives(archiveFiles);
+  }
+
+  // Unknown sizes sort last
+  compareSizes(a, b) {
+    return (a === undefined ? Infinity : a) - (b === undefined ? Infinity : b);
+  }
+
+  async probeSizes() {
+    const unsized = this.downloadItems.filter(item => {
+      const entry = this.journal.get('downloads', item.url);
+      return !item.size && !(entry && entry.status === 'completed');
+    });
+    if (unsized.length === 0) return;
+    this.log('info', `Checking sizes of ${unsized.length} files...`);
+    
+    const queue = new WorkQueue({ concurrency: this.concurrentDownloads, signal: this.abortController.signal });
+    await queue.run(unsized, async (item) => {
+      try {
+        const { response } = await this.headItem(item);
+        item.probedSize = parseInt(response.headers['content-length']) || undefined;
+      } catch (error) {
+        this.log('warn', `Could not check size of ${item.url}: ${error.message}`, { url: item.url });
+      }
+    });
+  }
+
+  // Asks the item's URL and then its mirrors for the file info until one answers; rejects with the last error
+  async headItem(item) {
+    let lastError;
+    for (const source of this.getSources(item)) {
+      try {
+        const response = await this.fetchHeaders(source, this.abortController.signal);
+        return { source, response };
+      } catch (error) {
+        this.log('debug', `HEAD ${source.url} failed: ${error.message}`, { url: item.url });
+        lastError = error;
+      }
+    }
+    throw lastError;
+  }
+
+  // Compares what is left to download (and extract onto the same volume) with the space on the
+  // download volume, and notes each item's outstanding bytes for reserveSpace
+  async checkDownloadSpace() {
+    let downloadBytes = 0;
+    let extractBytes = 0;
+    let unknown = 0;
+    for (const item of this.downloadItems) {
+      const entry = this.journal.get('downloads', item.url);
+      const filePath = this.getFilePath(item);
+      const fileName = path.basename(filePath);
+      const size = item.size || item.probedSize;
+      if ((entry && entry.status === 'completed') || await fs.pathExists(filePath)) continue;
+      if (!size) {
+        unknown++;
+        continue;
+      }
+      
+      const partPath = `${filePath}.part`;
+      item.pendingBytes = Math.max(0, size - (await fs.pathExists(partPath) ? (await fs.stat(partPath)).size : 0));
+      downloadBytes += item.pendingBytes;
+      if (item.extract !== undefined ? item.extract : this.autoUnzip && this.isSupportedArchive(fileName)) {
+        extractBytes += size;
+      }
+    }
+    
+    // Archives expand to at least their own size, so that much is counted again for extraction
+    if (extractBytes > 0 && await isSameVolume(this.downloadDirectory, this.unzipDestinationDirectory)) {
+      return this.checkSpace('download and extraction', this.downloadDirectory, downloadBytes + extractBytes, unknown);
+    }
+    return this.checkSpace('download', this.downloadDirectory, downloadBytes, unknown);
+  }
+
+  // Sequential mode extracts each download as soon as it is done, so its archive can be deleted
+  // before the next one starts. Parts of split archives are left for the pass after all downloads.
+  async extractDownloaded(result) {
+    const { item, fileName, filePath } = result;
+    const extract = item.extract !== undefined ? item.extract : this.autoUnzip;
+    if (!extract || result.streamExtracted || !this.isSupportedArchive(fileName)) {
+      return null;
+    }
+    
+    const stats = await fs.stat(filePath);
+    const [archive] = await groupSplitArchives([{ path: filePath, name: fileName, size: stats.size }]);
+    if (archive.parts) {
+      return null;
+    }
+    
+    archive.uncompressedSize = await this.measureArchive(archive).catch(() => null);
+    const destinationDir = this.getExtractionDestination(item, fileName);
+    let release = null;
+    let extraction = { success: false, interrupted: true, error: 'Interrupted by shutdown', sourceFilePath: filePath };
+    try {
+      release = await this.reserveSpace(destinationDir, destinationDir, archive.uncompressedSize, fileName);
+    } catch (error) {
+      this.log('error', `Cannot extract ${fileName}: ${error.message}`, { file: filePath });
+      this.journal.update('extractions', filePath, { status: 'failed', lastError: error.message });
+      extraction = { success: false, error: error.message, sourceFilePath: filePath };
+    }
+    if (release) {
+      try {
+        extraction = await this.extractArchive(archive, destinationDir);
+      } finally {
+        release();
+      }
+    }
+    
+    this.recordExtraction(extraction);
+    return extraction;
+  }
+
+  // Applies schedule changes and edits to the control file; the CLI also calls this on SIGHUP
+  async refreshBandwidth() {
+    try {
+      if (await this.bandwidth.refresh()) {
+        this.log('info', `Speed limits changed: ${this.bandwidth.describe()}`);
+      }
+    } catch (error) {
+      this.log('warn', `Could not apply speed control file ${this.bandwidth.controlFile}: ${error.message}`);
+    }
+  }
+
+  // Overrides speed limits in MB/s while running, e.g. setSpeedLimits({ global: 20, hosts: { 'example.com': 5 } }).
+  // A null global (or an empty hosts object) goes back to the configured limits.
+  setSpeedLimits(limits) {
+    if (this.bandwidth.setLimits(limits)) {
+      this.log('info', `Speed limits changed: ${this.bandwidth.describe()}`);
+    }
+  }
+
+  // An entry whose URL cannot be parsed counts as a download that failed for good
+  rejectInvalidItem(item) {
+    this.log('error', `Failed to download ${item.url}: ${item.invalid}`, { url: item.url });
+    this.journal.update('downloads', item.url, { status: 'failed', lastError: item.invalid });
+    const result = { success: false, error: item.invalid, url: item.url, item };
+    this.failed++;
+    this.emit('download', result);
+    return result;
+  }
+
+  async downloadAll() {
+    await this.ensureDownloadDirectory();
+    this.claimFilePaths();
+    
+    const startTime = Date.now();
+    
+    // Smallest-first and the disk space check need sizes up front; manifest sizes are used when given
+    if (this.downloadOrder === 'smallest-first' || this.diskSpacePolicy !== 'off') {
+      await this.probeSizes();
+    }
+    
+    if (this.diskSpacePolicy !== 'off' && !await this.checkDownloadSpace()) {
+      if (this.diskSpacePolicy === 'pause') {
+        this.log('warn', 'Each download will wait until it fits');
+      } else if (this.diskSpacePolicy === 'sequential') {
+        this.sequential = true;
+        this.deleteAfterUnzip = true;
+        this.log('warn', 'Switching to sequential mode: one file at a time is downloaded, extracted and deleted');
+      }
+    }
+    
+    this.log('info', `Starting downloads with ${this.sequential ? 1 : this.concurrentDownloads} concurrent connections...`);
+    
+    // Speed limits follow the schedule and the control file for as long as downloads run
+    await this.refreshBandwidth();
+    const bandwidthTimer = this.bandwidth.enabled ? setInterval(() => this.refreshBandwidth(), BANDWIDTH_REFRESH_MS) : null;
+    
+    // Run downloads through a continuous worker pool
+    const queue = new WorkQueue({
+      concurrency: this.sequential ? 1 : this.concurrentDownloads,
+      perKeyLimit: this.maxDownloadsPerHost,
+      keyOf: item => new URL(item.url).host,
+      compare: this.downloadOrder === 'smallest-first' ? (a, b) => this.compareSizes(a.size || a.probedSize, b.size || b.probedSize) : null,
+      signal: this.abortController.signal
+    });
+    
+    const results = this.invalidItems.map(item => this.rejectInvalidItem(item));
+    results.push(...await queue.run(this.downloadItems, async (item) => {
+      const entry = this.journal.get('downloads', item.url);
+      if (entry && entry.status === 'completed') {
+        this.log('info', `Already completed in a previous run: ${entry.fileName}`, { url: item.url, file: entry.fileName });
+        return { success: true, fileName: entry.fileName, filePath: entry.filePath, item, skipped: true, mirror: entry.mirror };
+      }
+      
+      let release;
+      try {
+        release = await this.reserveSpace(item.url, this.downloadDirectory, item.pendingBytes, path.basename(this.getFilePath(item)));
+      } catch (error) {
+        this.log('error', `Cannot download ${item.url}: ${error.message}`, { url: item.url });
+        this.journal.update('downloads', item.url, { status: 'failed', lastError: error.message });
+        return { success: false, error: error.message, url: item.url, item };
+      }
+      if (!release) {
+        return { success: false, interrupted: true, error: 'Interrupted by shutdown', url: item.url, item };
+      }
+      
+      let result;
+      try {
+        result = await this.downloadFile(item);
+      } finally {
+        release();
+      }
+      if (this.sequential && result.success) {
+        result.extraction = await this.extractDownloaded(result);
+      }
+      return result;
+    }, {
+      onResult: (result) => {
+        // Update counters
+        if (result.success) {
+          this.completed++;
+        } else if (result.interrupted) {
+          this.interrupted++;
+        } else {
+          this.failed++;
+        }
+        
+        this.emit('download', result);
+        this.log('info', `Progress: ${this.completed}/${this.total} completed, ${this.failed} failed`);
+      },
+      onSkip: (item) => {
+        this.interrupted++;
+        return { success: false, interrupted: true, error: 'Interrupted by shutdown', url: item.url, item };
+      }
+    }));
+    clearInterval(bandwidthTimer);
+    
+    const endTime = Date.now();
+    const duration = ((endTime - startTime) / 1000).toFixed(2);
+    
+    // Summary
+    this.log('info', '='.repeat(50));
+    this.log('info', 'Download Summary:');
+    this.log('info', `Total files: ${this.total}`);
+    this.log('info', `Successfully downloaded: ${this.completed}`);
+    this.log('info', `Failed downloads: ${this.failed}`);
+    this.log('info', `Duration: ${duration} seconds`);
+    this.log('info', `Download directory: ${this.downloadDirectory}`);
+    
+    if (this.interrupted > 0) {
+      this.log('info', `Interrupted downloads: ${this.interrupted}`);
+    }
+    
+    // Log failed downloads
+    const failedResults = results.filter(r => !r.success && !r.interrupted);
+    if (failedResults.length > 0) {
+      this.log('warn', 'Failed downloads:');
+      failedResults.forEach(result => {
+        this.log('warn', `  ${result.url}: ${result.error}`);
+      });
+    }
+    
+    // Which mirror served each file that has mirrors
+    const mirroredResults = results.filter(r => r.success && r.mirror);
+    if (mirroredResults.length > 0) {
+      this.log('info', 'Mirrors used:');
+      mirroredResults.forEach(result => {
+        this.log('info', `  ${result.fileName}: ${new URL(result.mirror).host}`);
+      });
+    }
+    
+    // Calculate total downloaded bytes
+    const totalBytes = results
+      .filter(r => r.success && r.bytes)
+      .reduce((sum, r) => sum + r.bytes, 0);
+    
+    if (totalBytes > 0) {
+      this.log('info', `Total downloaded: ${this.formatBytes(totalBytes)}`);
+    }
+    
+    this.emit('summary', {
+      type: 'download',
+      total: this.total,
+      completed: this.completed,
+      failed: this.failed,
+      interrupted: this.interrupted,
+      durationSeconds: Number(duration),
+      directory: this.downloadDirectory,
+      bytes: totalBytes,
+      failures: failedResults.map(r => ({ url: r.url, error: r.error })),
+      mirrors: mirroredResults.map(r => ({ url: r.item.url, fileName: r.fileName, mirror: r.mirror }))
+    });
+    
+    return results;
+  }
+
+  // Checks files already on disk; with no files given, every file with a known checksum
+  async verifyAll(files = []) {
+    await this.loadChecksums();
+    
+    // Files are named by their path under the download directory
+    const itemChecksums = new Map(this.downloadItems
+      .filter(item => item.checksum)
+      .map(item => [path.relative(this.downloadDirectory, this.getFilePath(item)), item.checksum]));
+    
+    // Explicit file arguments may carry their own checksum as "file=sha256:<hex>". File names may
+    // contain "=" too, so only a checksum after the last one is split off.
+    const targets = new Map();
+    for (const arg of files) {
+      const separator = arg.lastIndexOf('=');
+      const spec = separator > 0 && /^(?:[a-z0-9-]+:)?[0-9a-f]+$/i.test(arg.slice(separator + 1)) ? arg.slice(separator + 1) : null;
+      const fileName = path.relative(this.downloadDirectory, path.resolve(this.downloadDirectory, spec ? arg.slice(0, separator) : arg));
+      if (!isConfinedPath(fileName)) {
+        throw new Error(`Cannot verify ${arg}: only files inside the download directory ${this.downloadDirectory} can be verified`);
+      }
+      const known = itemChecksums.get(fileName) || this.expectedChecksums.get(fileName) || this.expectedChecksums.get(path.basename(fileName));
+      targets.set(fileName, spec ? parseChecksum(spec) : known);
+    }
+    if (targets.size === 0) {
+      this.expectedChecksums.forEach((checksum, fileName) => targets.set(fileName, checksum));
+      itemChecksums.forEach((checksum, fileName) => targets.set(fileName, checksum));
+    }
+    
+    this.log('info', `Verifying ${targets.size} files in ${this.downloadDirectory}...`);
+    
+    const results = [];
+    for (const [fileName, expected] of targets) {
+      if (this.shuttingDown) break;
+      
+      const filePath = path.join(this.downloadDirectory, fileName);
+      
+      if (!expected) {
+        this.log('warn', `No checksum known for ${fileName}`);
+        results.push({ fileName, status: 'unknown' });
+      } else if (!await fs.pathExists(filePath)) {
+        this.log('error', `MISSING ${fileName}`);
+        results.push({ fileName, status: 'missing' });
+      } else {
+        const actual = await hashFile(filePath, expected.algorithm);
+        if (actual === expected.digest) {
+          this.log('info', `OK ${fileName} (${expected.algorithm})`);
+          results.push({ fileName, status: 'ok' });
+        } else {
+          this.log('error', `CORRUPT ${fileName}: expected ${expected.digest}, got ${actual}`);
+          results.push({ fileName, status: 'corrupt', expected: expected.digest, actual });
+        }
+      }
+    }
+    
+    const count = (status) => results.filter(r => r.status === status).length;
+    this.log('info', '='.repeat(50));
+    this.log('info', 'Verification Summary:');
+    this.log('info', `OK: ${count('ok')}, corrupt: ${count('corrupt')}, missing: ${count('missing')}, no checksum: ${count('unknown')}`);
+    
+    return results;
+  }
+
+  // What a run would do. Every item is checked with a HEAD request (trying its mirrors) and
+  // against the journal and the download directory, and the bytes still to fetch are compared
+  // with the free space. Nothing is downloaded and no file is written.
+  async plan() {
+    await this.openJournal();
+    this.claimFilePaths();
+    
+    const queue = new WorkQueue({ concurrency: this.concurrentDownloads, signal: this.abortController.signal });
+    const files = this.invalidItems.map(item => this.planInvalidItem(item));
+    files.push(...await queue.run(this.downloadItems, item => this.planItem(item)));
+    
+    const sized = files.filter(file => file.size);
+    const pending = files.filter(file => !file.complete);
+    const totals = {
+      files: files.length,
+      bytes: sized.reduce((sum, file) => sum + file.size, 0),
+      unknownSizes: files.length - sized.length,
+      complete: files.length - pending.length,
+      errors: files.filter(file => file.error).length,
+      // Like the disk space check of a run: archives count again at their own size once extracted
+      downloadBytes: pending.reduce((sum, file) => sum + (file.remainingBytes || 0), 0),
+      extractBytes: pending.filter(file => file.extract).reduce((sum, file) => sum + (file.size || 0), 0)
+    };
+    
+    const space = [];
+    const sameVolume = totals.extractBytes > 0 && await isSameVolume(this.downloadDirectory, this.unzipDestinationDirectory);
+    space.push(await this.planSpace('download', this.downloadDirectory, totals.downloadBytes + (sameVolume ? totals.extractBytes : 0)));
+    if (totals.extractBytes > 0 && !sameVolume) {
+      space.push(await this.planSpace('extraction', this.unzipDestinationDirectory, totals.extractBytes));
+    }
+    
+    return { downloadDirectory: this.downloadDirectory, files, totals, space };
+  }
+
+  async planItem(item) {
+    const journalEntry = this.journal.get('downloads', item.url);
+    let head = null;
+    let error = null;
+    try {
+      head = await this.headItem(item);
+    } catch (headError) {
+      error = headError.message;
+    }
+    
+    const headers = head ? head.response.headers : {};
+    let filePath;
+    try {
+      filePath = this.claimFilePath(item, item.fileName || this.getFileName(item.url, headers, head && head.response.finalUrl));
+    } catch (claimError) {
+      error = claimError.message;
+      filePath = this.getFilePath(item);
+    }
+    const fileName = path.basename(filePath);
+    const partPath = `${filePath}.part`;
+    const reportedSize = parseInt(headers['content-length']) || null;
+    const size = item.size || reportedSize;
+    const existingSize = await fs.pathExists(filePath) ? (await fs.stat(filePath)).size : null;
+    const partialBytes = await fs.pathExists(partPath) ? (await fs.stat(partPath)).size : 0;
+    // A run skips a file the journal has as completed, or one already on disk at the expected size
+    const complete = existingSize !== null && ((journalEntry && journalEntry.status === 'completed') || (size > 0 && existingSize === size));
+    
+    return {
+      url: item.url,
+      mirror: head && item.mirrors && item.mirrors.length > 0 ? head.source.url : null,
+      fileName,
+      filePath,
+      size,
+      reportedSize,
+      sizeMismatch: Boolean(item.size && reportedSize && item.size !== reportedSize),
+      contentType: headers['content-type'] || null,
+      acceptsRanges: head ? (headers['accept-ranges'] || '').toLowerCase() === 'bytes' : null,
+      httpStatus: head ? head.response.status : null,
+      error,
+      status: journalEntry ? journalEntry.status : 'new',
+      exists: existingSize !== null,
+      complete,
+      partialBytes,
+      remainingBytes: complete ? 0 : size ? Math.max(0, size - partialBytes) : null,
+      extract: item.extract !== undefined ? item.extract : this.autoUnzip && this.isSupportedArchive(fileName),
+      streamExtract: this.shouldStreamExtract(item, fileName)
+    };
+  }
+
+  // An entry whose URL cannot be parsed is listed with the reason, as a run would fail it
+  planInvalidItem(item) {
+    const journalEntry = this.journal.get('downloads', item.url);
+    return {
+      url: item.url,
+      mirror: null,
+      fileName: item.url,
+      filePath: null,
+      size: null,
+      reportedSize: null,
+      sizeMismatch: false,
+      contentType: null,
+      acceptsRanges: null,
+      httpStatus: null,
+      error: item.invalid,
+      status: journalEntry ? journalEntry.status : 'new',
+      exists: false,
+      complete: false,
+      partialBytes: 0,
+      remainingBytes: null,
+      extract: false,
+      streamExtract: false
+    };
+  }
+
+  async planSpace(work, directory, neededBytes) {
+    const volume = await this.spaceBudget.available(directory);
+    return {
+      work,
+      directory,
+      neededBytes,
+      freeBytes: volume.free,
+      availableBytes: volume.available,
+      fits: neededBytes <= volume.available
+    };
+  }
+
+  async getStatus() {
+    await this.openJournal();
+    return {
+      journal: this.journal.filePath,
+      downloads: this.journal.entries('downloads'),
+      extractions: this.journal.entries('extractions')
+    };
+  }
+
+  // Downloads every item, then extracts archives if AUTO_UNZIP or the manifest asks for it.
+  // Resolves with the results; failures are reported in them rather than thrown.
+  async run() {
+    await this.openJournal();
+    if (this.downloadItems.length === 0) {
+      throw new Error('No download URLs provided');
+    }
+    
+    this.logSettings();
+    await this.startStatusServer();
+    this.log('info', 'FileDownloader starting...');
+    await this.loadChecksums();
+    
+    const downloads = await this.downloadAll();
+    
+    // If auto-unzip is enabled (or the manifest asks for it), extract archives after downloading.
+    // Sequential mode has already extracted most of them between downloads.
+    let extractions = downloads.filter(result => result.extraction).map(result => result.extraction);
+    if (!this.shuttingDown && (this.autoUnzip || this.downloadItems.some(item => item.extract))) {
+      this.log('info', 'Starting automatic extraction of downloaded archives...');
+      extractions = extractions.concat(await this.extractAllArchives(downloads));
+    }
+    
+    await this.journal.flush();
+    
+    const interrupted = this.interrupted + this.interruptedExtractions;
+    const totals = {
+      success: this.failed === 0 && this.failedExtractions === 0 && interrupted === 0,
+      completed: this.completed,
+      failed: this.failed,
+      extracted: this.extractedFiles,
+      failedExtractions: this.failedExtractions,
+      interrupted
+    };
+    await this.notifier.finish(totals);
+    await this.stopStatusServer();
+    
+    return { ...totals, downloads, extractions };
+  }
+}
+
+module.exports = FileDownloader;
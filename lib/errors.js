@@ -0,0 +1,67 @@
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EPIPE', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'ERR_STREAM_PREMATURE_CLOSE'];
+
+// Failures that come out the same however often they are retried: an archive over the extraction
+// limits, and files or directories that may not be written
+const PERMANENT_CODES = ['EEXTRACTLIMIT', 'EACCES', 'EPERM', 'EROFS'];
+
+// Client errors that are worth asking again for: a request timeout and rate limiting
+const TRANSIENT_STATUSES = [408, 429];
+
+// Coarse class of a failure, for retry counts and metrics labels. A failure on every mirror
+// is classed by the last one.
+function classifyError(error) {
+  if (error instanceof AggregateError && error.cause) {
+    return classifyError(error.cause);
+  }
+  if (error.response) {
+    return `http_${Math.floor(error.response.status / 100)}xx`;
+  }
+  switch (error.code) {
+    case 'ECONNABORTED':
+    case 'ETIMEDOUT':
+    case 'ESTALLED':
+      return 'timeout';
+    case 'ECHECKSUM':
+      return 'checksum';
+    case 'EEXTRACTLIMIT':
+      return 'extraction_limit';
+    case 'ERANGEIGNORED':
+      return 'range_ignored';
+    default:
+      break;
+  }
+  if (NETWORK_CODES.includes(error.code)) return 'network';
+  if (error.syscall) return 'filesystem';
+  return 'other';
+}
+
+// Whether retrying is pointless: HTTP 4xx other than 408 and 429, or one of PERMANENT_CODES.
+// A failure on every mirror is permanent only when it was permanent on each of them.
+function isPermanentError(error) {
+  if (error instanceof AggregateError) {
+    return error.errors.length > 0 && error.errors.every(isPermanentError);
+  }
+  if (error.response) {
+    const { status } = error.response;
+    return status >= 400 && status < 500 && !TRANSIENT_STATUSES.includes(status);
+  }
+  return PERMANENT_CODES.includes(error.code);
+}
+
+// Milliseconds the server asked to wait with Retry-After (seconds or an HTTP date), or null
+function retryAfterMs(error, now = Date.now()) {
+  const response = error.response || (error.cause && error.cause.response);
+  const value = response && response.headers && response.headers['retry-after'];
+  if (!value) return null;
+  if (/^\d+$/.test(value.trim())) {
+    return parseInt(value) * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+module.exports = {
+  classifyError,
+  isPermanentError,
+  retryAfterMs
+};
@@ -0,0 +1,175 @@
+const path = require('path');
+
+// Compression ratios are only judged once this much has been extracted,
+// so tiny archives of highly compressible text are not flagged as bombs
+const MIN_BYTES_FOR_RATIO = 1024 * 1024;
+
+// Upper half of code page 437, the encoding ZIP names use unless the UTF-8 flag is set
+const CP437_HIGH = 'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜ¢£¥₧ƒáíóúñÑªº¿⌐¬½¼¡«»░▒▓│┤╡╢╖╕╣║╗╝╜╛┐└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■\u00a0';
+
+class ExtractionLimitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ExtractionLimitError';
+    this.code = 'EEXTRACTLIMIT';
+  }
+}
+
+// Turns the MAX_EXTRACTED_* / MAX_COMPRESSION_RATIO settings into the guard's limits
+function getExtractionLimits(config) {
+  return {
+    maxBytes: config.maxExtractedSizeMb * 1024 * 1024,
+    maxFiles: config.maxExtractedFiles,
+    maxRatio: config.maxCompressionRatio
+  };
+}
+
+// ZIPs are opened with decodeStrings off so unsafe names can be skipped one by one
+// (yauzl would otherwise fail the whole archive), which leaves decoding to us
+function decodeZipFileName(entry) {
+  const name = entry.fileName;
+  if (typeof name === 'string') return name;
+  if (entry.generalPurposeBitFlag & 0x800) return name.toString('utf8');
+  return Array.from(name, byte => (byte < 0x80 ? String.fromCharCode(byte) : CP437_HIGH[byte - 0x80])).join('');
+}
+
+// Checks every archive entry before it is written: unsafe paths and links are
+// skipped and recorded, while exceeding a size, count or ratio limit aborts the
+// whole extraction with an ExtractionLimitError
+class ExtractionGuard {
+  constructor(destinationDir, { maxBytes = 0, maxFiles = 0, maxRatio = 0, compressedBytes = () => 0, onBytes = () => {} } = {}) {
+    this.root = path.resolve(destinationDir);
+    this.maxBytes = maxBytes;
+    this.maxFiles = maxFiles;
+    this.maxRatio = maxRatio;
+    // Returns the archive bytes consumed so far (or its total size when known up front)
+    this.compressedBytes = compressedBytes;
+    // Told about every byte counted, for run-wide totals
+    this.onBytes = onBytes;
+
+    this.bytes = 0;
+    this.files = 0;
+    this.rejected = [];
+    // The first limit exceeded; streams may surface it as a generic abort, so callers can look here
+    this.limitError = null;
+  }
+
+  isInside(targetPath) {
+    const relative = path.relative(this.root, targetPath);
+    return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+  }
+
+  exceeded(message) {
+    this.limitError = this.limitError || new ExtractionLimitError(message);
+    return this.limitError;
+  }
+
+  reject(entryPath, reason) {
+    this.rejected.push({ path: entryPath, reason });
+    return null;
+  }
+
+  // Returns the absolute path to write the entry to, or null if the entry was rejected
+  resolve(entryPath) {
+    if (path.isAbsolute(entryPath) || /^[a-zA-Z]:/.test(entryPath) || entryPath.startsWith('\\')) {
+      return this.reject(entryPath, 'absolute path');
+    }
+
+    const targetPath = path.resolve(this.root, entryPath.replace(/\\/g, '/'));
+    if (!this.isInside(targetPath)) {
+      return this.reject(entryPath, 'path escapes the destination directory');
+    }
+    return targetPath;
+  }
+
+  // Symlink targets are relative to the link itself, hard link targets to the archive root
+  checkLink(entryPath, linkPath, isHardLink = false) {
+    if (path.isAbsolute(linkPath) || /^[a-zA-Z]:/.test(linkPath)) {
+      return this.reject(entryPath, `absolute link target ${linkPath}`);
+    }
+
+    const base = isHardLink ? this.root : path.dirname(path.resolve(this.root, entryPath));
+    if (!this.isInside(path.resolve(base, linkPath))) {
+      return this.reject(entryPath, `link target ${linkPath} escapes the destination directory`);
+    }
+    return true;
+  }
+
+  addFile() {
+    this.files++;
+    if (this.maxFiles && this.files > this.maxFiles) {
+      throw this.exceeded(`Archive has more than ${this.maxFiles} entries (MAX_EXTRACTED_FILES)`);
+    }
+  }
+
+  addBytes(count) {
+    this.bytes += count;
+    this.onBytes(count);
+    if (this.maxBytes && this.bytes > this.maxBytes) {
+      throw this.exceeded(`Archive expands to more than ${this.maxBytes} bytes (MAX_EXTRACTED_SIZE_MB)`);
+    }
+
+    const compressed = this.compressedBytes();
+    if (this.maxRatio && compressed > 0 && this.bytes > MIN_BYTES_FOR_RATIO && this.bytes / compressed > this.maxRatio) {
+      throw this.exceeded(`Archive expands more than ${this.maxRatio}x its compressed size (MAX_COMPRESSION_RATIO)`);
+    }
+  }
+
+  // Pipeline stage that passes data through while counting it against the limits
+  byteCounter() {
+    const guard = this;
+    return async function* (chunks) {
+      for await (const chunk of chunks) {
+        guard.addBytes(chunk.length);
+        yield chunk;
+      }
+    };
+  }
+
+  // Used as tar's filter: returns false to skip an unsafe entry, throws when a limit is exceeded.
+  // Entry bytes are counted by the caller as they are written.
+  checkTarEntry(entryPath, entry) {
+    if (!this.resolve(entryPath)) return false;
+
+    switch (entry.type) {
+      case 'Directory':
+        return true;
+      case 'SymbolicLink':
+      case 'Link':
+        if (!this.checkLink(entryPath, entry.linkpath, entry.type === 'Link')) return false;
+        this.addFile();
+        return true;
+      case 'File':
+      case 'OldFile':
+      case 'ContiguousFile':
+        this.addFile();
+        this.checkDeclaredSize(entry.size);
+        return true;
+      default:
+        this.reject(entryPath, `unsupported entry type ${entry.type}`);
+        return false;
+    }
+  }
+
+  // Header sizes are exact in tar, so an oversized entry can be refused before any of it is written.
+  // The ratio is left to addBytes, as little of the archive has been read when a header arrives.
+  checkDeclaredSize(size) {
+    if (this.maxBytes && this.bytes + size > this.maxBytes) {
+      throw this.exceeded(`Archive expands to more than ${this.maxBytes} bytes (MAX_EXTRACTED_SIZE_MB)`);
+    }
+  }
+
+  // Declared sizes in a ZIP entry can be checked before anything is inflated
+  checkDeclaredRatio(entryPath, uncompressedSize, compressedSize) {
+    if (this.maxRatio && compressedSize > 0 && uncompressedSize > MIN_BYTES_FOR_RATIO && uncompressedSize / compressedSize > this.maxRatio) {
+      throw this.exceeded(`Entry ${entryPath} expands more than ${this.maxRatio}x its compressed size (MAX_COMPRESSION_RATIO)`);
+    }
+  }
+}
+
+module.exports = {
+  ExtractionGuard,
+  ExtractionLimitError,
+  decodeZipFileName,
+  getExtractionLimits
+};
@@ -0,0 +1,1184 @@
+const fs = require('fs-extra');
+const path = require('path');
+const tar = require('tar');
+const yauzl = require('yauzl');
+const unzipper = require('unzipper');
+const { EventEmitter, setMaxListeners } = require('events');
+const { Transform, Writable } = require('stream');
+const { pipeline: pipelineAsync } = require('stream/promises');
+const JobJournal = require('./journal');
+const ProgressTracker = require('./progress-tracker');
+const StatusServer = require('./status-server');
+const Notifier = require('./notifier');
+const { Network } = require('./network');
+const WorkQueue = require('./work-queue');
+const { loadConfig } = require('./config');
+const { ExtractionGuard, decodeZipFileName, getExtractionLimits } = require('./extract-guard');
+const { createDecompressor, decompressedName, detectFormat, formatFromName } = require('./archive-format');
+const { createPartsStream, groupSplitArchives } = require('./split-archives');
+const { SpaceBudget, isSameVolume } = require('./disk-space');
+const { classifyError, isPermanentError, retryAfterMs } = require('./errors');
+const { isLevelEnabled, redact } = require('./logger');
+
+const DISK_SPACE_POLICIES = ['off', 'warn', 'abort', 'pause', 'sequential'];
+
+const EXTRACTION_ORDERS = ['manifest', 'smallest-first'];
+
+const NESTED_EXTRACTION_MODES = ['in-place', 'mapped'];
+
+// Extracts the archives in a directory. FileDownloader builds on it for extraction after (or during)
+// downloads. Nothing here exits the process or writes to the console: log lines go out as 'log'
+// events, the archives about to be extracted as a 'queued' event, every archive begun as a 'start'
+// event, every retry as a 'retry' event and every finished one as an 'extraction' event.
+class ArchiveExtractor extends EventEmitter {
+  constructor(options = {}, defaultStateFile = 'extractor-state.json') {
+    super();
+    const config = loadConfig(options);
+    this.config = config;
+    
+    this.unzipSourceDirectory = config.unzipSourceDirectory;
+    this.unzipDestinationDirectory = config.unzipDestinationDirectory;
+    this.deleteAfterUnzip = config.deleteAfterUnzip;
+    this.concurrentExtractions = config.concurrentExtractions;
+    if (!EXTRACTION_ORDERS.includes(config.extractionOrder)) {
+      throw new Error(`Invalid EXTRACTION_ORDER "${config.extractionOrder}": use ${EXTRACTION_ORDERS.join(', ')}`);
+    }
+    this.extractionOrder = config.extractionOrder;
+    this.retryAttempts = config.retryAttempts;
+    this.retryDelay = config.retryDelay;
+    this.retryMaxDelay = config.retryMaxDelay;
+    this.logLevel = config.logLevel;
+    // Caps on uncompressed bytes, file count and compression ratio (0 disables a cap)
+    this.extractionLimits = getExtractionLimits(config);
+    // Archives found inside extracted trees (0 leaves them alone)
+    this.nestedExtractionDepth = config.nestedExtractionDepth;
+    if (!NESTED_EXTRACTION_MODES.includes(config.nestedExtractionMode)) {
+      throw new Error(`Invalid NESTED_EXTRACTION_MODE "${config.nestedExtractionMode}": use ${NESTED_EXTRACTION_MODES.join(', ')}`);
+    }
+    this.nestedExtractionMode = config.nestedExtractionMode;
+    this.nestedExtractionDirectory = config.nestedExtractionDirectory || this.unzipDestinationDirectory;
+    this.deleteNestedArchives = config.deleteNestedArchives;
+    // What to do when work may not fit on disk, and how full a volume may get
+    if (!DISK_SPACE_POLICIES.includes(config.diskSpacePolicy)) {
+      throw new Error(`Invalid DISK_SPACE_POLICY "${config.diskSpacePolicy}": use ${DISK_SPACE_POLICIES.join(', ')}`);
+    }
+    this.diskSpacePolicy = config.diskSpacePolicy;
+    this.maxDiskUsagePercent = config.maxDiskUsagePercent;
+    this.spaceBudget = new SpaceBudget(this.maxDiskUsagePercent);
+    // Reservations of the work in progress, by URL for downloads and destination for extractions
+    this.spaceReservations = new Map();
+    
+    this.extractedFiles = 0;
+    this.failedExtractions = 0;
+    // Bytes written by every extraction so far, counted as they are written
+    this.bytesExtracted = 0;
+    
+    // Shutdown state: every request, stream and retry wait listens to this signal
+    this.shuttingDown = false;
+    this.abortController = new AbortController();
+    setMaxListeners(0, this.abortController.signal);
+    this.interruptedExtractions = 0;
+    
+    // Job journal so restarts can skip finished work
+    this.journal = new JobJournal(path.resolve(config.stateFile || defaultStateFile));
+    this.journalLoaded = false;
+    
+    // Optional local HTTP server with the live state of a run
+    this.statusPort = config.statusPort;
+    this.statusHost = config.statusHost;
+    this.tracker = null;
+    this.statusServer = null;
+    
+    // Proxies and TLS trust, from PROXY_URL, HOST_PROXIES, CA_BUNDLE, INSECURE_TLS and the environment,
+    // for downloads and webhook notifications alike
+    this.network = new Network(config);
+    
+    // Webhooks and commands told about failures and finished runs
+    this.notifier = new Notifier(this, config);
+    
+    // Values redacted from every log line; FileDownloader adds the credentials it sends
+    this.secrets = new Set(this.network.secrets);
+  }
+
+  logSettings() {
+    this.log('info', `ArchiveExtractor initialized`);
+    this.log('info', `Source directory: ${this.unzipSourceDirectory}`);
+    this.log('info', `Destination directory: ${this.unzipDestinationDirectory}`);
+    this.log('info', `Concurrent extractions: ${this.concurrentExtractions}`);
+    this.log('info', `Delete after extraction: ${this.deleteAfterUnzip}`);
+    this.logNestedSettings();
+    this.logSpaceSettings();
+    this.logNotifySettings();
+  }
+
+  logNestedSettings() {
+    if (this.nestedExtractionDepth > 0) {
+      const target = this.nestedExtractionMode === 'mapped' ? ` -> ${this.nestedExtractionDirectory}` : '';
+      this.log('info', `Nested extraction: up to ${this.nestedExtractionDepth} levels, ${this.nestedExtractionMode}${target}${this.deleteNestedArchives ? ', deleting inner archives' : ''}`);
+    }
+  }
+
+  logSpaceSettings() {
+    if (this.diskSpacePolicy !== 'warn' || this.maxDiskUsagePercent < 100) {
+      this.log('info', `Disk space policy: ${this.diskSpacePolicy}${this.maxDiskUsagePercent < 100 ? `, volumes filled to at most ${this.maxDiskUsagePercent}%` : ''}`);
+    }
+  }
+
+  logNotifySettings() {
+    if (this.notifier.enabled) {
+      this.log('info', `Notifications: ${this.notifier.describe()}`);
+    }
+  }
+
+  // context carries fields of the item being worked on (url, file, attempt) for structured output.
+  // Credentials never reach a log line: both are redacted before the event goes out.
+  log(level, message, context = {}) {
+    if (isLevelEnabled(level, this.logLevel)) {
+      const clean = (value) => (typeof value === 'string' ? redact(value, this.secrets) : value);
+      const cleanContext = Object.fromEntries(Object.entries(context).map(([key, value]) => [key, clean(value)]));
+      this.emit('log', { timestamp: new Date().toISOString(), level, message: clean(message), context: cleanContext });
+    }
+  }
+
+  formatBytes(bytes) {
+    if (bytes === 0) return '0 Bytes';
+    const k = 1024;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+  }
+
+  // Resolves early on shutdown so retry waits never hold up the exit
+  delay(ms) {
+    const { signal } = this.abortController;
+    return new Promise(resolve => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+      signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  // How long to wait before attempt + 1: RETRY_DELAY_MS doubled for each retry so far, capped at
+  // RETRY_MAX_DELAY_MS, with up to half of it taken off at random so that items which failed
+  // together do not all retry together. A server's Retry-After is waited out instead (within the cap).
+  retryDelayFor(attempt, error) {
+    const retryAfter = retryAfterMs(error);
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, this.retryMaxDelay);
+    }
+    const backoff = Math.min(this.retryDelay * 2 ** (attempt - 1), this.retryMaxDelay);
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+
+  // Whether a failed attempt gets another go, logging why not when the failure is permanent
+  shouldRetry(attempt, error, context) {
+    if (attempt >= this.retryAttempts) return false;
+    if (isPermanentError(error)) {
+      this.log('info', `Not retrying: the error is permanent (${classifyError(error)})`, context);
+      return false;
+    }
+    return true;
+  }
+
+  // Announces that a download, segment or extraction is being retried, with the class of the failure
+  emitRetry(type, key, attempt, error) {
+    this.emit('retry', { type, key, attempt, error: error.message, errorClass: classifyError(error) });
+  }
+
+  // Stops new work and aborts what is running; run() then resolves with the unfinished items marked interrupted
+  shutdown(reason = 'shutdown request') {
+    if (this.shuttingDown) return;
+    
+    this.shuttingDown = true;
+    this.log('warn', `Received ${reason}. Stopping new work and aborting active work...`);
+    this.abortController.abort();
+  }
+
+  // Scanning goes by name; the format itself is detected from the file's contents when extracting
+  isSupportedArchive(filename) {
+    return formatFromName(filename).type !== 'unknown';
+  }
+
+  // Single compressed files (annotations.csv.gz) are written out under their original name
+  async decompressFile(sourceFilePath, destinationDir, compression, attempt = 1) {
+    const context = { file: sourceFilePath, attempt };
+    try {
+      const fileName = path.basename(sourceFilePath);
+      const outputPath = path.join(destinationDir, decompressedName(fileName));
+      this.log('info', `Starting decompression: ${fileName} -> ${outputPath} (attempt ${attempt})`, context);
+      
+      // Ensure destination directory exists
+      await fs.ensureDir(destinationDir);
+      
+      const readStream = fs.createReadStream(sourceFilePath);
+      const guard = this.createExtractionGuard(destinationDir, () => readStream.bytesRead);
+      guard.addFile();
+      await pipelineAsync(readStream, createDecompressor(compression), guard.byteCounter(), fs.createWriteStream(outputPath), {
+        signal: this.abortController.signal
+      }).catch((error) => {
+        throw guard.limitError || error;
+      });
+      
+      this.log('info', `Successfully decompressed: ${fileName} (${this.formatBytes(guard.bytes)})`, context);
+      
+      return {
+        success: true,
+        fileName,
+        sourceFilePath,
+        destinationDir,
+        extractedFiles: 1,
+        extractedSize: guard.bytes,
+        rejectedEntries: guard.rejected
+      };
+      
+    } catch (error) {
+      if (this.shuttingDown) {
+        return { success: false, interrupted: true, error: 'Interrupted by shutdown', sourceFilePath };
+      }
+      
+      this.log('error', `Failed to decompress ${sourceFilePath} (attempt ${attempt}): ${error.message}`, context);
+      
+      if (this.shouldRetry(attempt, error, context)) {
+        this.emitRetry('extraction', sourceFilePath, attempt, error);
+        const delay = this.retryDelayFor(attempt, error);
+        this.log('info', `Retrying decompression in ${(delay / 1000).toFixed(1)} seconds...`, context);
+        await this.delay(delay);
+        return this.decompressFile(sourceFilePath, destinationDir, compression, attempt + 1);
+      } else {
+        return { success: false, error: error.message, sourceFilePath };
+      }
+    }
+  }
+
+  async getDirectoryStats(dirPath) {
+    let totalSize = 0;
+    let fileCount = 0;
+    
+    try {
+      const items = await fs.readdir(dirPath, { withFileTypes: true });
+      
+      for (const item of items) {
+        const itemPath = path.join(dirPath, item.name);
+        
+        if (item.isDirectory()) {
+          const subStats = await this.getDirectoryStats(itemPath);
+          totalSize += subStats.size;
+          fileCount += subStats.files;
+        } else if (item.isFile() && !item.name.startsWith('.incomplete-')) {
+          const stats = await fs.stat(itemPath);
+          totalSize += stats.size;
+          fileCount++;
+        }
+      }
+    } catch (error) {
+      this.log('warn', `Could not read directory stats for ${dirPath}: ${error.message}`);
+    }
+    
+    return { size: totalSize, files: fileCount };
+  }
+
+  createExtractionGuard(destinationDir, compressedBytes) {
+    const reservation = this.spaceReservations.get(destinationDir);
+    return new ExtractionGuard(destinationDir, {
+      ...this.extractionLimits,
+      compressedBytes,
+      onBytes: (count) => {
+        this.bytesExtracted += count;
+        if (reservation) reservation.written(count);
+      }
+    });
+  }
+
+  // tar.extract with every entry checked by the guard; a limit error aborts the whole stream
+  createTarExtractor(destinationDir, guard, onentry) {
+    const checked = (check) => {
+      try {
+        return check();
+      } catch (error) {
+        unpack.abort(error);
+        return false;
+      }
+    };
+    
+    const unpack = tar.extract({
+      cwd: destinationDir,
+      preservePaths: false,  // Remove leading paths for security
+      filter: (entryPath, entry) => checked(() => guard.checkTarEntry(entryPath, entry)),
+      // Every file's data passes through here on its way to disk, so bytes are counted as they are written
+      transform: () => new Transform({
+        transform: (chunk, encoding, callback) => {
+          checked(() => guard.addBytes(chunk.length));
+          callback(null, chunk);
+        }
+      }),
+      onentry
+    });
+    return unpack;
+  }
+
+  reportRejectedEntries(fileName, guard) {
+    for (const { path: entryPath, reason } of guard.rejected) {
+      this.log('warn', `Skipped unsafe entry in ${fileName}: ${entryPath} (${reason})`);
+    }
+  }
+
+  // Extracts a ZIP from a forward-only stream by reading local file headers, so the
+  // central directory at the end of the archive (and a content-length) is never needed
+  createZipStreamExtractor(destinationDir, stats, guard) {
+    const parser = unzipper.Parse({ forceStream: true });
+    
+    const extraction = (async () => {
+      for await (const entry of parser) {
+        const targetPath = guard.resolve(entry.path);
+        
+        if (!targetPath) {
+          entry.autodrain();
+          continue;
+        }
+        
+        if (entry.type === 'Directory') {
+          await fs.ensureDir(targetPath);
+          entry.autodrain();
+          continue;
+        }
+        
+        // Sizes in the local header are zero when the archive uses data descriptors, so count what was written
+        guard.addFile();
+        await fs.ensureDir(path.dirname(targetPath));
+        const writeStream = fs.createWriteStream(targetPath);
+        await pipelineAsync(entry, guard.byteCounter(), writeStream);
+        stats.files++;
+        stats.size += writeStream.bytesWritten;
+      }
+    })();
+    
+    // The parser emits 'close' as soon as its input ends, while entries may still be waiting to be
+    // read, which pipeline() takes for a premature close. So it stays out of the pipeline: this
+    // stage feeds it and only finishes once every entry has been written.
+    const feed = new Writable({
+      write(chunk, encoding, callback) {
+        // The parser ends itself at the end of central directory record; anything after it is dropped
+        if (parser.writableEnded || parser.write(chunk)) {
+          callback();
+          return;
+        }
+        const resume = () => {
+          parser.off('drain', resume);
+          parser.off('finish', resume);
+          callback();
+        };
+        parser.on('drain', resume);
+        parser.on('finish', resume);
+      },
+      final(callback) {
+        if (!parser.writableEnded) parser.end();
+        extraction.then(() => callback(), callback);
+      },
+      destroy(error, callback) {
+        parser.destroy();
+        callback(error);
+      }
+    });
+    extraction.catch(error => feed.destroy(error));
+    
+    return [feed];
+  }
+
+  async extractZipFile(sourceFilePath, destinationDir, attempt = 1) {
+    const context = { file: sourceFilePath, attempt };
+    try {
+      const fileName = path.basename(sourceFilePath);
+      this.log('info', `Starting ZIP extraction: ${fileName} -> ${destinationDir} (attempt ${attempt})`, context);
+      
+      // Ensure destination directory exists
+      await fs.ensureDir(destinationDir);
+      
+      return await new Promise((resolve, reject) => {
+        // Names are decoded by the guard so unsafe entries are skipped instead of failing the archive
+        yauzl.open(sourceFilePath, { lazyEntries: true, decodeStrings: false }, (err, zipfile) => {
+          if (err) {
+            reject(err);
+            return;
+          }
+          
+          const guard = this.createExtractionGuard(destinationDir, () => zipfile.fileSize);
+          let extractedCount = 0;
+          let totalSize = 0;
+          let currentFile = null;
+          
+          // On shutdown, stop reading and remove the entry that was being written
+          const { signal } = this.abortController;
+          const onAbort = () => {
+            zipfile.close();
+            if (currentFile) {
+              currentFile.readStream.destroy();
+              currentFile.writeStream.destroy();
+              fs.remove(currentFile.filePath).catch(() => {});
+            }
+            reject(new Error('Extraction aborted by shutdown'));
+          };
+          signal.addEventListener('abort', onAbort, { once: true });
+          zipfile.on('close', () => signal.removeEventListener('abort', onAbort));
+          
+          zipfile.readEntry();
+          
+          zipfile.on('entry', (entry) => {
+            entry.fileName = decodeZipFileName(entry);
+            const targetPath = guard.resolve(entry.fileName);
+            
+            if (!targetPath) {
+              zipfile.readEntry();
+            } else if (/\/$/.test(entry.fileName)) {
+              // Directory entry
+              fs.ensureDir(targetPath).then(() => {
+                zipfile.readEntry();
+              }).catch(reject);
+            } else {
+              // File entry; yauzl verifies the declared sizes, so limits can be checked before inflating
+              try {
+                guard.addFile();
+                guard.checkDeclaredRatio(entry.fileName, entry.uncompressedSize, entry.compressedSize);
+                guard.addBytes(entry.uncompressedSize);
+              } catch (error) {
+                zipfile.close();
+                reject(error);
+                return;
+              }
+              
+              const fileDir = path.dirname(targetPath);
+              
+              // Ensure parent directory exists
+              fs.ensureDir(fileDir).then(() => {
+                zipfile.openReadStream(entry, (err, readStream) => {
+                  if (err) {
+                    reject(err);
+                    return;
+                  }
+                  
+                  const writeStream = fs.createWriteStream(targetPath);
+                  currentFile = { readStream, writeStream, filePath: targetPath };
+                  readStream.pipe(writeStream);
+                  
+                  writeStream.on('close', () => {
+                    if (signal.aborted) return;
+                    currentFile = null;
+                    extractedCount++;
+                    totalSize += entry.uncompressedSize;
+                    
+                    if (entry.uncompressedSize > 1024 * 1024) { // Log files > 1MB
+                      this.log('debug', `Extracted: ${entry.fileName} (${this.formatBytes(entry.uncompressedSize)})`, context);
+                    }
+                    
+                    zipfile.readEntry();
+                  });
+                  
+                  writeStream.on('error', reject);
+                  readStream.on('error', reject);
+                });
+              }).catch(reject);
+            }
+          });
+          
+          zipfile.on('end', () => {
+            this.reportRejectedEntries(fileName, guard);
+            this.log('info', `Successfully extracted ZIP: ${fileName} (${extractedCount} files, ${this.formatBytes(totalSize)})`, context);
+            
+            resolve({
+              success: true,
+              fileName,
+              sourceFilePath,
+              destinationDir,
+              extractedFiles: extractedCount,
+              extractedSize: totalSize,
+              rejectedEntries: guard.rejected
+            });
+          });
+          
+          zipfile.on('error', reject);
+        });
+      });
+      
+    } catch (error) {
+      if (this.shuttingDown) {
+        return { success: false, interrupted: true, error: 'Interrupted by shutdown', sourceFilePath };
+      }
+      
+      this.log('error', `Failed to extract ZIP ${sourceFilePath} (attempt ${attempt}): ${error.message}`, context);
+      
+      if (this.shouldRetry(attempt, error, context)) {
+        this.emitRetry('extraction', sourceFilePath, attempt, error);
+        const delay = this.retryDelayFor(attempt, error);
+        this.log('info', `Retrying ZIP extraction in ${(delay / 1000).toFixed(1)} seconds...`, context);
+        await this.delay(delay);
+        return this.extractZipFile(sourceFilePath, destinationDir, attempt + 1);
+      } else {
+        return { success: false, error: error.message, sourceFilePath };
+      }
+    }
+  }
+
+  async extractTgzFile(sourceFilePath, destinationDir, compression = null, attempt = 1) {
+    const context = { file: sourceFilePath, attempt };
+    try {
+      const fileName = path.basename(sourceFilePath);
+      this.log('info', `Starting extraction: ${fileName} -> ${destinationDir} (attempt ${attempt})`, context);
+      
+      // Ensure destination directory exists
+      await fs.ensureDir(destinationDir);
+      
+      // Extract the archive; streamed so shutdown can abort it
+      const readStream = fs.createReadStream(sourceFilePath);
+      const guard = this.createExtractionGuard(destinationDir, () => readStream.bytesRead);
+      const decompress = compression ? [createDecompressor(compression)] : [];
+      await pipelineAsync(readStream, ...decompress, this.createTarExtractor(destinationDir, guard, (entry) => {
+        if (entry.type === 'File' && entry.size > 1024 * 1024) { // Log files > 1MB
+          this.log('debug', `Extracting: ${entry.path} (${this.formatBytes(entry.size)})`, context);
+        }
+      }), { signal: this.abortController.signal }).catch((error) => {
+        throw guard.limitError || error;
+      });
+      
+      this.reportRejectedEntries(fileName, guard);
+      
+      // Get extracted size by checking directory
+      const stats = await this.getDirectoryStats(destinationDir);
+      
+      this.log('info', `Successfully extracted: ${fileName} (${stats.files} files, ${this.formatBytes(stats.size)})`, context);
+      
+      return { 
+        success: true, 
+        fileName, 
+        sourceFilePath, 
+        destinationDir,
+        extractedFiles: stats.files,
+        extractedSize: stats.size,
+        rejectedEntries: guard.rejected
+      };
+      
+    } catch (error) {
+      if (this.shuttingDown) {
+        return { success: false, interrupted: true, error: 'Interrupted by shutdown', sourceFilePath };
+      }
+      
+      this.log('error', `Failed to extract ${sourceFilePath} (attempt ${attempt}): ${error.message}`, context);
+      
+      if (this.shouldRetry(attempt, error, context)) {
+        this.emitRetry('extraction', sourceFilePath, attempt, error);
+        const delay = this.retryDelayFor(attempt, error);
+        this.log('info', `Retrying extraction in ${(delay / 1000).toFixed(1)} seconds...`, context);
+        await this.delay(delay);
+        return this.extractTgzFile(sourceFilePath, destinationDir, compression, attempt + 1);
+      } else {
+        return { success: false, error: error.message, sourceFilePath };
+      }
+    }
+  }
+
+  // Split sets are read straight across their parts, so a joined copy is never written to disk
+  async extractSplitArchive(archive, destinationDir, attempt = 1) {
+    const sourceFilePath = archive.path;
+    const context = { file: sourceFilePath, attempt };
+    if (archive.missingParts.length > 0) {
+      this.log('error', `Cannot extract ${archive.name}: missing parts ${archive.missingParts.join(', ')}`, context);
+      return { success: false, error: `Missing parts: ${archive.missingParts.join(', ')}`, sourceFilePath };
+    }
+    
+    try {
+      this.log('info', `Starting extraction: ${archive.name} (${archive.parts.length} parts) -> ${destinationDir} (attempt ${attempt})`, context);
+      
+      // Ensure destination directory exists
+      await fs.ensureDir(destinationDir);
+      
+      const format = await detectFormat(archive.parts[0], archive.name);
+      const source = createPartsStream(archive.parts);
+      const guard = this.createExtractionGuard(destinationDir, () => source.bytesRead);
+      const stats = { files: 0, size: 0 };
+      const decompress = format.compression ? [createDecompressor(format.compression)] : [];
+      let stages;
+      if (format.type === 'zip') {
+        // Spanned zips keep their central directory in the last part, so entries are read from local headers
+        stages = this.createZipStreamExtractor(destinationDir, stats, guard);
+      } else if (format.type === 'tar') {
+        stages = [...decompress, this.createTarExtractor(destinationDir, guard, (entry) => {
+          if (entry.type === 'File') {
+            stats.files++;
+            stats.size += entry.size;
+          }
+        })];
+      } else if (format.type === 'file') {
+        guard.addFile();
+        stages = [...decompress, guard.byteCounter(), fs.createWriteStream(path.join(destinationDir, decompressedName(archive.name)))];
+      } else {
+        source.destroy();
+        this.log('error', `Unsupported archive type for ${archive.name}`, context);
+        return { success: false, error: `Unsupported archive type`, sourceFilePath };
+      }
+      
+      await pipelineAsync(source, ...stages, { signal: this.abortController.signal }).catch((error) => {
+        throw guard.limitError || error;
+      });
+      if (format.type === 'file') {
+        stats.files = 1;
+        stats.size = guard.bytes;
+      }
+      
+      this.reportRejectedEntries(archive.name, guard);
+      this.log('info', `Successfully extracted: ${archive.name} (${stats.files} files, ${this.formatBytes(stats.size)})`, context);
+      
+      return {
+        success: true,
+        fileName: archive.name,
+        sourceFilePath,
+        destinationDir,
+        extractedFiles: stats.files,
+        extractedSize: stats.size,
+        rejectedEntries: guard.rejected
+      };
+      
+    } catch (error) {
+      if (this.shuttingDown) {
+        return { success: false, interrupted: true, error: 'Interrupted by shutdown', sourceFilePath };
+      }
+      
+      this.log('error', `Failed to extract ${archive.name} (attempt ${attempt}): ${error.message}`, context);
+      
+      if (this.shouldRetry(attempt, error, context)) {
+        this.emitRetry('extraction', sourceFilePath, attempt, error);
+        const delay = this.retryDelayFor(attempt, error);
+        this.log('info', `Retrying extraction in ${(delay / 1000).toFixed(1)} seconds...`, context);
+        await this.delay(delay);
+        return this.extractSplitArchive(archive, destinationDir, attempt + 1);
+      } else {
+        return { success: false, error: error.message, sourceFilePath };
+      }
+    }
+  }
+
+  async extractFile(sourceFilePath, destinationDir) {
+    const fileName = path.basename(sourceFilePath);
+    
+    // Magic bytes decide, so a plain gzip named .gz or a tar behind any compression is handled correctly
+    let format;
+    try {
+      format = await detectFormat(sourceFilePath);
+    } catch (error) {
+      this.log('error', `Could not read ${fileName}: ${error.message}`, { file: sourceFilePath });
+      return { success: false, error: error.message, sourceFilePath };
+    }
+    this.log('debug', `Detected ${format.type}${format.compression ? ` (${format.compression})` : ''}: ${fileName}`, { file: sourceFilePath });
+    
+    switch (format.type) {
+      case 'zip':
+        return this.extractZipFile(sourceFilePath, destinationDir);
+      case 'tar':
+        return this.extractTgzFile(sourceFilePath, destinationDir, format.compression);
+      case 'file':
+        return this.decompressFile(sourceFilePath, destinationDir, format.compression);
+      default:
+        this.log('error', `Unsupported archive type for ${fileName}`, { file: sourceFilePath });
+        return { success: false, error: `Unsupported archive type`, sourceFilePath };
+    }
+  }
+
+  async extractArchive(archive, destinationDir, depth = 0) {
+    const entry = this.journal.get('extractions', archive.path);
+    if (entry && entry.status === 'completed') {
+      this.log('info', `Already extracted in a previous run: ${archive.name}`, { file: archive.path });
+      return { success: true, fileName: archive.name, sourceFilePath: archive.path, destinationDir, skipped: true };
+    }
+    
+    const attempts = ((entry && entry.attempts) || 0) + 1;
+    this.journal.update('extractions', archive.path, { status: 'in_progress', attempts, destinationDir });
+    await this.journal.flush();
+    if (depth === 0) {
+      this.emit('start', { type: 'extraction', path: archive.path, fileName: archive.name, attempt: attempts });
+    }
+    
+    // The marker stays behind if extraction does not finish, flagging the output as partial
+    const markerPath = path.join(destinationDir, `.incomplete-${archive.name}`);
+    await fs.outputJson(markerPath, { source: archive.path, startedAt: new Date().toISOString() });
+    
+    let result = archive.parts
+      ? await this.extractSplitArchive(archive, destinationDir)
+      : await this.extractFile(archive.path, destinationDir);
+    
+    // Archives inside the extracted tree are extracted too, up to NESTED_EXTRACTION_DEPTH levels down
+    if (result.success && depth < this.nestedExtractionDepth) {
+      result = await this.extractNestedArchives(result, depth + 1);
+    }
+    
+    if (result.success) {
+      await fs.remove(markerPath);
+      this.journal.update('extractions', archive.path, { status: 'completed', bytesDone: result.extractedSize || 0, lastError: null });
+      
+      // Outer archives follow DELETE_AFTER_UNZIP; inner ones DELETE_NESTED_ARCHIVES, and only if no entry was skipped
+      const deleteSource = depth === 0
+        ? this.deleteAfterUnzip
+        : this.deleteNestedArchives && result.rejectedEntries.length === 0;
+      if (deleteSource) {
+        for (const sourcePath of archive.parts || [archive.path]) {
+          await fs.remove(sourcePath);
+        }
+        this.log('info', `Deleted source file: ${archive.name}${archive.parts ? ` (${archive.parts.length} parts)` : ''}`, { file: archive.path });
+      }
+    } else if (result.interrupted) {
+      this.log('warn', `Extraction interrupted: ${archive.name}; ${destinationDir} is incomplete and will be redone on the next run`, { file: archive.path });
+      this.journal.update('extractions', archive.path, { status: 'interrupted', lastError: result.error });
+    } else {
+      this.journal.update('extractions', archive.path, { status: 'failed', lastError: result.error });
+    }
+    await this.journal.flush();
+    return result;
+  }
+
+  async findNestedArchives(dirPath) {
+    const files = await this.listFilesRecursive(dirPath);
+    return (await groupSplitArchives(files)).filter(archive => this.isSupportedArchive(archive.name));
+  }
+
+  async listFilesRecursive(dirPath) {
+    const files = [];
+    const items = await fs.readdir(dirPath, { withFileTypes: true });
+    
+    for (const item of items) {
+      const itemPath = path.join(dirPath, item.name);
+      
+      if (item.isDirectory()) {
+        files.push(...await this.listFilesRecursive(itemPath));
+      } else if (item.isFile() && !item.name.startsWith('.incomplete-')) {
+        const stats = await fs.stat(itemPath);
+        files.push({ path: itemPath, name: item.name, size: stats.size });
+      }
+    }
+    
+    return files;
+  }
+
+  // In place, an inner archive is extracted next to itself. Mapped, the first level goes under
+  // NESTED_EXTRACTION_DIRECTORY, in a directory named after the outer archive so two outer
+  // archives cannot overwrite each other, keeping its path inside the outer archive; deeper
+  // levels then extract in place there.
+  getNestedDestination(archive, parent, depth) {
+    const root = this.nestedExtractionMode === 'mapped' && depth === 1
+      ? path.join(this.nestedExtractionDirectory, path.parse(parent.fileName).name)
+      : parent.destinationDir;
+    return path.join(root, path.relative(parent.destinationDir, path.dirname(archive.path)), path.parse(archive.name).name);
+  }
+
+  // Extracts the archives found in a freshly extracted tree one by one, within the parent's slot
+  async extractNestedArchives(parentResult, depth) {
+    const parentDir = parentResult.destinationDir;
+    const archives = await this.findNestedArchives(parentDir);
+    if (archives.length === 0) {
+      return parentResult;
+    }
+    
+    this.log('info', `Found ${archives.length} nested archives in ${parentResult.fileName} (depth ${depth})`);
+    
+    const nestedResults = [];
+    for (const archive of archives) {
+      if (this.shuttingDown) {
+        nestedResults.push({ success: false, interrupted: true, error: 'Interrupted by shutdown', sourceFilePath: archive.path });
+        continue;
+      }
+      nestedResults.push(await this.extractArchive(archive, this.getNestedDestination(archive, parentResult, depth), depth));
+    }
+    
+    const result = {
+      ...parentResult,
+      extractedFiles: nestedResults.reduce((sum, r) => sum + (r.extractedFiles || 0), parentResult.extractedFiles || 0),
+      extractedSize: nestedResults.reduce((sum, r) => sum + (r.extractedSize || 0), parentResult.extractedSize || 0),
+      nestedResults
+    };
+    
+    // The outer archive only counts as done once everything inside it is, so a rerun retries the rest
+    const failed = nestedResults.filter(r => !r.success && !r.interrupted);
+    if (nestedResults.some(r => r.interrupted)) {
+      return { ...result, success: false, interrupted: true, error: 'Interrupted by shutdown' };
+    }
+    if (failed.length > 0) {
+      return { ...result, success: false, error: `${failed.length} of ${archives.length} nested archives failed to extract` };
+    }
+    return result;
+  }
+
+  async findArchiveFiles() {
+    this.log('info', `Scanning for archive files in: ${this.unzipSourceDirectory}`);
+    
+    let archiveFiles = [];
+    
+    try {
+      // Check if source directory exists
+      if (!await fs.pathExists(this.unzipSourceDirectory)) {
+        throw new Error(`Source directory does not exist: ${this.unzipSourceDirectory}`);
+      }
+      
+      const files = await fs.readdir(this.unzipSourceDirectory);
+      
+      for (const file of files) {
+        const filePath = path.join(this.unzipSourceDirectory, file);
+        const stats = await fs.stat(filePath);
+        
+        if (stats.isFile()) {
+          archiveFiles.push({
+            path: filePath,
+            name: file,
+            size: stats.size
+          });
+        }
+      }
+      
+      // Parts of a split archive are grouped into one entry named after the joined archive
+      archiveFiles = (await groupSplitArchives(archiveFiles)).filter(archive => this.isSupportedArchive(archive.name));
+    } catch (error) {
+      this.log('error', `Failed to scan source directory: ${error.message}`);
+      throw error;
+    }
+    
+    this.log('info', `Found ${archiveFiles.length} archive files to extract`);
+    
+    // Log details of found archives
+    if (archiveFiles.length > 0) {
+      this.log('info', 'Archive files found:');
+      archiveFiles.forEach(archive => {
+        if (!archive.parts) {
+          this.log('info', `  ${archive.name} (${this.formatBytes(archive.size)})`);
+        } else if (archive.missingParts.length > 0) {
+          this.log('warn', `  ${archive.name} (split, missing parts: ${archive.missingParts.join(', ')})`);
+        } else {
+          this.log('info', `  ${archive.name} (${this.formatBytes(archive.size)}, split into ${archive.parts.length} parts)`);
+        }
+      });
+    }
+    
+    return archiveFiles;
+  }
+
+  readZipSize(filePath) {
+    return new Promise((resolve, reject) => {
+      yauzl.open(filePath, { lazyEntries: true, decodeStrings: false }, (err, zipfile) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+        
+        let size = 0;
+        zipfile.on('entry', (entry) => {
+          size += entry.uncompressedSize;
+          zipfile.readEntry();
+        });
+        zipfile.on('end', () => resolve(size));
+        zipfile.on('error', reject);
+        zipfile.readEntry();
+      });
+    });
+  }
+
+  // Uncompressed size of an archive for the disk space check. ZIPs list it in their central
+  // directory; tars and single compressed files are read through once. Null when it cannot be told.
+  async measureArchive(archive) {
+    const format = await detectFormat(archive.parts ? archive.parts[0] : archive.path, archive.name);
+    if (format.type === 'zip') {
+      // A spanned zip's central directory is in its last part, which yauzl cannot open on its own
+      return archive.parts ? null : this.readZipSize(archive.path);
+    }
+    if (format.type !== 'tar' && format.type !== 'file') {
+      return null;
+    }
+    
+    const source = archive.parts ? createPartsStream(archive.parts) : fs.createReadStream(archive.path);
+    const decompress = format.compression ? [createDecompressor(format.compression)] : [];
+    let size = 0;
+    let counter;
+    if (format.type === 'tar') {
+      // Headers carry each entry's size; the data is skipped over
+      counter = new tar.Parse({
+        onentry: (entry) => {
+          size += entry.size;
+          entry.resume();
+        }
+      });
+    } else {
+      counter = async (chunks) => {
+        for await (const chunk of chunks) {
+          size += chunk.length;
+        }
+      };
+    }
+    await pipelineAsync(source, ...decompress, counter, { signal: this.abortController.signal });
+    return size;
+  }
+
+  // Logs how much the work needs against what is available, and stops the run under
+  // DISK_SPACE_POLICY=abort. Resolves with false when the work does not fit.
+  async checkSpace(work, dirPath, neededBytes, unknownCount = 0) {
+    const volume = await this.spaceBudget.available(dirPath);
+    const unknown = unknownCount > 0 ? ` (plus ${unknownCount} of unknown size)` : '';
+    const cap = this.maxDiskUsagePercent < 100 ? ` within the ${this.maxDiskUsagePercent}% usage cap` : '';
+    
+    if (neededBytes <= volume.available) {
+      this.log('info', `Disk space: ${work} needs ${this.formatBytes(neededBytes)}${unknown}, ${this.formatBytes(volume.available)} available on ${dirPath}${cap}`);
+      return true;
+    }
+    
+    const message = `Not enough disk space on ${dirPath}: ${work} needs ${this.formatBytes(neededBytes)}${unknown}, only ${this.formatBytes(volume.available)} available${cap}`;
+    if (this.diskSpacePolicy === 'abort') {
+      throw new Error(`${message} (DISK_SPACE_POLICY=abort)`);
+    }
+    this.log('warn', message);
+    return false;
+  }
+
+  // Under DISK_SPACE_POLICY pause or sequential, holds work back until its bytes fit on the volume.
+  // Resolves with a function that releases the space again, or null if shut down while waiting.
+  // The reservation is kept under `key` while it is held, so the bytes written can be counted
+  // against it. Fails when the bytes do not fit and no running work holds space that could free up.
+  async reserveSpace(key, dirPath, bytes, name) {
+    if (!['pause', 'sequential'].includes(this.diskSpacePolicy) || !bytes) {
+      return () => {};
+    }
+    
+    let reservation;
+    try {
+      reservation = await this.spaceBudget.reserve(dirPath, bytes, {
+        signal: this.abortController.signal,
+        onWait: (volume) => {
+          this.log('warn', `Waiting for disk space: ${name} needs ${this.formatBytes(bytes)}, ${this.formatBytes(volume.available)} available on ${dirPath}`);
+        }
+      });
+    } catch (error) {
+      if (error.code !== 'ENOSPC') throw error;
+      throw new Error(`Not enough disk space on ${dirPath}: ${name} needs ${this.formatBytes(bytes)}, only ${this.formatBytes(error.available)} available`);
+    }
+    if (!reservation) return null;
+    
+    this.spaceReservations.set(key, reservation);
+    return () => {
+      this.spaceReservations.delete(key);
+      reservation.release();
+    };
+  }
+
+  // Measures the archives and compares the total with the space on the destination volume
+  async checkExtractionSpace(archiveFiles) {
+    if (this.diskSpacePolicy === 'off') return;
+    
+    const pending = archiveFiles.filter(archive => {
+      const entry = this.journal.get('extractions', archive.path);
+      return !(entry && entry.status === 'completed') && !(archive.missingParts && archive.missingParts.length > 0);
+    });
+    if (pending.length === 0) return;
+    
+    this.log('info', `Measuring the uncompressed size of ${pending.length} archives...`);
+    for (const archive of pending) {
+      if (this.shuttingDown) return;
+      archive.uncompressedSize = await this.measureArchive(archive).catch((error) => {
+        this.log('warn', `Could not measure ${archive.name}: ${error.message}`);
+        return null;
+      });
+    }
+    
+    const measured = pending.filter(archive => archive.uncompressedSize !== null);
+    let needed = measured.reduce((sum, archive) => sum + archive.uncompressedSize, 0);
+    // Archives deleted as they finish make room for the next ones, so only their growth adds up
+    if (this.deleteAfterUnzip && await isSameVolume(this.unzipSourceDirectory, this.unzipDestinationDirectory)) {
+      needed = measured.reduce((sum, archive) => sum + Math.max(0, archive.uncompressedSize - archive.size), 0)
+        + Math.max(0, ...measured.map(archive => archive.size));
+    }
+    
+    const fits = await this.checkSpace('extraction', this.unzipDestinationDirectory, needed, pending.length - measured.length);
+    if (!fits && ['pause', 'sequential'].includes(this.diskSpacePolicy)) {
+      this.log('warn', 'Each archive will wait until its extracted size fits');
+    }
+  }
+
+  recordExtraction(result) {
+    if (result.success) {
+      this.extractedFiles++;
+    } else if (result.interrupted) {
+      this.interruptedExtractions++;
+    } else {
+      this.failedExtractions++;
+    }
+    this.emit('extraction', result);
+  }
+
+  // Runs archives through the worker pool and logs a summary; each goes to its own
+  // destinationDir if it has one, or a directory named after it otherwise
+  async extractArchives(archiveFiles) {
+    await this.checkExtractionSpace(archiveFiles);
+    
+    this.log('info', `Starting extraction of ${archiveFiles.length} archives with ${this.concurrentExtractions} concurrent extractions...`);
+    this.emit('queued', { type: 'extraction', items: archiveFiles.map(archive => ({ path: archive.path, fileName: archive.name })) });
+    const startTime = Date.now();
+    
+    // Run extractions through a continuous worker pool
+    const queue = new WorkQueue({
+      concurrency: this.concurrentExtractions,
+      compare: this.extractionOrder === 'smallest-first' ? (a, b) => a.size - b.size : null,
+      signal: this.abortController.signal
+    });
+    
+    const results = await queue.run(archiveFiles, async (archive) => {
+      const destDir = archive.destinationDir || path.join(this.unzipDestinationDirectory, path.parse(archive.name).name);
+      let release;
+      try {
+        release = await this.reserveSpace(destDir, destDir, archive.uncompressedSize, archive.name);
+      } catch (error) {
+        this.log('error', `Cannot extract ${archive.name}: ${error.message}`, { file: archive.path });
+        this.journal.update('extractions', archive.path, { status: 'failed', lastError: error.message });
+        return { success: false, error: error.message, sourceFilePath: archive.path };
+      }
+      if (!release) {
+        return { success: false, interrupted: true, error: 'Interrupted by shutdown', sourceFilePath: archive.path };
+      }
+      
+      try {
+        return await this.extractArchive(archive, destDir);
+      } finally {
+        release();
+      }
+    }, {
+      onResult: (result) => {
+        this.recordExtraction(result);
+        this.log('info', `Extraction progress: ${this.extractedFiles}/${archiveFiles.length} completed, ${this.failedExtractions} failed`);
+      },
+      onSkip: (archive) => {
+        this.interruptedExtractions++;
+        return { success: false, interrupted: true, error: 'Interrupted by shutdown', sourceFilePath: archive.path };
+      }
+    });
+    
+    const endTime = Date.now();
+    const duration = ((endTime - startTime) / 1000).toFixed(2);
+    
+    // Summary
+    this.log('info', '='.repeat(50));
+    this.log('info', 'Extraction Summary:');
+    this.log('info', `Total archives: ${archiveFiles.length}`);
+    this.log('info', `Successfully extracted: ${this.extractedFiles}`);
+    this.log('info', `Failed extractions: ${this.failedExtractions}`);
+    this.log('info', `Duration: ${duration} seconds`);
+    this.log('info', `Destination directory: ${this.unzipDestinationDirectory}`);
+    
+    if (this.interruptedExtractions > 0) {
+      this.log('info', `Interrupted extractions: ${this.interruptedExtractions}`);
+    }
+    
+    // Log failed extractions
+    const failedResults = results.filter(r => !r.success && !r.interrupted);
+    if (failedResults.length > 0) {
+      this.log('warn', 'Failed extractions:');
+      failedResults.forEach(result => {
+        this.log('warn', `  ${result.sourceFilePath}: ${result.error}`);
+      });
+    }
+    
+    // Calculate total extracted data
+    const totalExtractedFiles = results
+      .filter(r => r.success && r.extractedFiles)
+      .reduce((sum, r) => sum + r.extractedFiles, 0);
+    
+    const totalExtractedSize = results
+      .filter(r => r.success && r.extractedSize)
+      .reduce((sum, r) => sum + r.extractedSize, 0);
+    
+    if (totalExtractedSize > 0) {
+      this.log('info', `Total extracted: ${totalExtractedFiles} files, ${this.formatBytes(totalExtractedSize)}`);
+    }
+    
+    this.emit('summary', {
+      type: 'extraction',
+      total: archiveFiles.length,
+      completed: results.filter(r => r.success).length,
+      failed: failedResults.length,
+      interrupted: results.filter(r => r.interrupted).length,
+      durationSeconds: Number(duration),
+      directory: this.unzipDestinationDirectory,
+      files: totalExtractedFiles,
+      bytes: totalExtractedSize,
+      failures: failedResults.map(r => ({ path: r.sourceFilePath, error: r.error }))
+    });
+    
+    return results;
+  }
+
+  async extractAll() {
+    await fs.ensureDir(this.unzipDestinationDirectory);
+    
+    const archiveFiles = await this.findArchiveFiles();
+    
+    if (archiveFiles.length === 0) {
+      this.log('info', 'No archive files found to extract');
+      return [];
+    }
+    
+    return this.extractArchives(archiveFiles);
+  }
+
+  // Loads the journal once; after that the in-memory copy is the newer one
+  async openJournal() {
+    if (!this.journalLoaded) {
+      await this.journal.load();
+      this.journalLoaded = true;
+    }
+  }
+
+  async getStatus() {
+    await this.openJournal();
+    return { journal: this.journal.filePath, extractions: this.journal.entries('extractions') };
+  }
+
+  // Starts the status server when STATUS_PORT is set. The run goes on without it if the port is taken.
+  async startStatusServer() {
+    if (!this.statusPort) return;
+    
+    this.tracker = new ProgressTracker(this);
+    this.statusServer = new StatusServer(this, this.tracker, { host: this.statusHost, port: this.statusPort });
+    try {
+      const address = await this.statusServer.start();
+      this.log('info', `Status API listening on http://${address.address}:${address.port}/status`);
+    } catch (error) {
+      this.log('error', `Could not start the status API on ${this.statusHost}:${this.statusPort}: ${error.message}`);
+      this.statusServer = null;
+    }
+  }
+
+  async stopStatusServer() {
+    if (this.statusServer) {
+      await this.statusServer.stop();
+      this.statusServer = null;
+    }
+  }
+
+  // Extracts every archive in the source directory and resolves with the results;
+  // failures are reported in them rather than thrown
+  async run() {
+    await this.openJournal();
+    this.logSettings();
+    await this.startStatusServer();
+    this.log('info', 'Archive extraction starting...');
+    
+    const extractions = await this.extractAll();
+    await this.journal.flush();
+    
+    const totals = {
+      success: this.failedExtractions === 0 && this.interruptedExtractions === 0,
+      extracted: this.extractedFiles,
+      failedExtractions: this.failedExtractions,
+      interrupted: this.interruptedExtractions
+    };
+    await this.notifier.finish(totals);
+    await this.stopStatusServer();
+    
+    return { ...totals, extractions };
+  }
+}
+
+module.exports = ArchiveExtractor;
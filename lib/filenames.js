@@ -0,0 +1,82 @@
+// Longest file name most filesystems accept, in bytes
+const MAX_NAME_BYTES = 255;
+
+// Bytes from a percent-encoded value, decoded in its charset (RFC 5987 allows UTF-8 and ISO-8859-1)
+function decodeExtValue(charset, encoded) {
+  const bytes = [];
+  for (let i = 0; i < encoded.length; i++) {
+    if (encoded[i] === '%' && /^[0-9a-f]{2}$/i.test(encoded.slice(i + 1, i + 3))) {
+      bytes.push(parseInt(encoded.slice(i + 1, i + 3), 16));
+      i += 2;
+    } else {
+      bytes.push(encoded.charCodeAt(i) & 0xff);
+    }
+  }
+  return Buffer.from(bytes).toString(charset.toLowerCase() === 'iso-8859-1' ? 'latin1' : 'utf8');
+}
+
+// Node hands header values over as latin1, so a raw UTF-8 name arrives as mojibake; it is
+// decoded again when the bytes are valid UTF-8
+function fixRawUtf8(value) {
+  if (!/[\u0080-\u00ff]/.test(value) || /[^\u0000-\u00ff]/.test(value)) return value;
+  const decoded = Buffer.from(value, 'latin1').toString('utf8');
+  return decoded.includes('\ufffd') ? value : decoded;
+}
+
+// The file name in a Content-Disposition header (RFC 6266), or null. filename* (RFC 5987,
+// e.g. UTF-8''na%C3%AFve.csv) wins over filename, which may be quoted with backslash escapes.
+function parseContentDisposition(header) {
+  const params = {};
+  for (const [, name, raw] of header.matchAll(/;\s*([^\s=;]+)\s*=\s*("(?:[^"\\]|\\.)*"|[^;]*)/g)) {
+    const key = name.toLowerCase();
+    let value = raw.trim();
+    if (value.startsWith('"')) {
+      value = value.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+    if (!Object.hasOwn(params, key)) {
+      params[key] = value;
+    }
+  }
+
+  if (params['filename*']) {
+    const match = params['filename*'].match(/^([\w!#$%&+^`{}~-]+)'[^']*'(.+)$/);
+    if (match && ['utf-8', 'iso-8859-1'].includes(match[1].toLowerCase())) {
+      return decodeExtValue(match[1], match[2]);
+    }
+  }
+  return params.filename ? fixRawUtf8(params.filename) : null;
+}
+
+// Only the last path component is kept, so "../../etc/passwd" or "C:\evil.exe" from a header
+// cannot leave the download directory. Control characters and those Windows forbids become "_",
+// leading dots (hidden files, "..") and trailing dots and spaces are dropped, and over-long names
+// are shortened keeping their extension. Resolves to "" when nothing usable is left.
+function sanitizeFileName(name) {
+  let base = String(name).split(/[\\/]/).pop()
+    .replace(/[\u0000-\u001f\u007f<>:"|?*]/g, '_')
+    .replace(/^[\s.]+/, '')
+    .replace(/[\s.]+$/, '');
+
+  if (Buffer.byteLength(base) > MAX_NAME_BYTES) {
+    const extension = /\.[^.]{1,16}$/.exec(base);
+    const suffix = extension ? extension[0] : '';
+    let stem = base.slice(0, base.length - suffix.length);
+    while (Buffer.byteLength(stem + suffix) > MAX_NAME_BYTES) {
+      stem = stem.slice(0, -1);
+    }
+    base = stem + suffix;
+  }
+  return base;
+}
+
+// "data.tar.gz" -> "data-2.tar.gz": the number goes before the first extension
+function numberedName(fileName, number) {
+  const dot = fileName.indexOf('.', 1);
+  return dot === -1 ? `${fileName}-${number}` : `${fileName.slice(0, dot)}-${number}${fileName.slice(dot)}`;
+}
+
+module.exports = {
+  numberedName,
+  parseContentDisposition,
+  sanitizeFileName
+};
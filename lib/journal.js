@@ -0,0 +1,74 @@
+const fs = require('fs-extra');
+
+// Progress updates arrive for every chunk, so writes are coalesced to at most one per interval
+const SAVE_INTERVAL_MS = 2000;
+
+// Persistent record of every download and extraction, so a restarted run can
+// skip finished work and report what happened before it
+class JobJournal {
+  constructor(filePath) {
+    this.filePath = filePath;
+    this.data = { downloads: {}, extractions: {} };
+    this.saveTimer = null;
+    this.saving = Promise.resolve();
+  }
+
+  async load() {
+    if (await fs.pathExists(this.filePath)) {
+      const data = await fs.readJson(this.filePath);
+      this.data = { downloads: data.downloads || {}, extractions: data.extractions || {} };
+    }
+    return this;
+  }
+
+  get(kind, key) {
+    return this.data[kind][key] || null;
+  }
+
+  entries(kind) {
+    return Object.entries(this.data[kind]).map(([key, entry]) => ({ key, ...entry }));
+  }
+
+  update(kind, key, changes) {
+    const entry = {
+      status: 'pending',
+      attempts: 0,
+      bytesDone: 0,
+      lastError: null,
+      ...this.data[kind][key],
+      ...changes,
+      updatedAt: new Date().toISOString()
+    };
+    this.data[kind][key] = entry;
+
+    if (!this.saveTimer) {
+      // A failed background save is retried by the next one; flush() reports errors to the caller
+      this.saveTimer = setTimeout(() => {
+        this.saveTimer = null;
+        this.save().catch(() => {});
+      }, SAVE_INTERVAL_MS);
+      this.saveTimer.unref();
+    }
+    return entry;
+  }
+
+  // Writes go through a temp file and a rename so a crash mid-write never leaves a truncated journal
+  save() {
+    this.saving = this.saving.catch(() => {}).then(async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.writeJson(tempPath, this.data, { spaces: 2 });
+      await fs.move(tempPath, this.filePath, { overwrite: true });
+    });
+    return this.saving;
+  }
+
+  async flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    await this.save();
+  }
+}
+
+module.exports = JobJournal;
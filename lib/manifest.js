@@ -0,0 +1,277 @@
+const fs = require('fs-extra');
+const path = require('path');
+const YAML = require('yaml');
+const { parseChecksum } = require('./checksums');
+const { expandEnv, parseAuth } = require('./auth');
+
+// Manifest fields, as written in the file, mapped to download item properties
+const FIELDS = {
+  url: 'url',
+  mirrors: 'mirrors',
+  filename: 'fileName',
+  subdirectory: 'subdirectory',
+  size: 'size',
+  checksum: 'checksum',
+  headers: 'headers',
+  auth: 'auth',
+  extract: 'extract',
+  extract_to: 'extractTo'
+};
+
+class ManifestError extends Error {
+  constructor(manifestPath, problems) {
+    super(`Invalid manifest ${manifestPath}:\n${problems.map(p => `  line ${p.line}: ${p.message}`).join('\n')}`);
+    this.name = 'ManifestError';
+    this.problems = problems;
+  }
+}
+
+function parseBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  const normalized = String(value).trim().toLowerCase();
+  if (['true', 'yes', '1'].includes(normalized)) return true;
+  if (['false', 'no', '0'].includes(normalized)) return false;
+  throw new Error(`expected true or false, got "${value}"`);
+}
+
+// CSV cells can only carry strings, so headers are written as "Name: value; Name: value".
+// Values may refer to environment variables as ${NAME}.
+function parseHeaders(value) {
+  if (typeof value !== 'string') {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) return value;
+    return Object.fromEntries(Object.entries(value).map(([name, headerValue]) => [name, expandEnv(headerValue, `header ${name}`)]));
+  }
+  const headers = {};
+  for (const pair of value.split(';').map(p => p.trim()).filter(p => p)) {
+    const separator = pair.indexOf(':');
+    if (separator < 1) throw new Error(`invalid header "${pair}"`);
+    const name = pair.slice(0, separator).trim();
+    headers[name] = expandEnv(pair.slice(separator + 1).trim(), `header ${name}`);
+  }
+  return headers;
+}
+
+function parseUrl(value, field) {
+  if (!/^https?:\/\//i.test(value)) throw new Error(`${field} must be http(s), got "${value}"`);
+  if (!URL.canParse(value)) throw new Error(`invalid ${field} "${value}"`);
+  return String(value);
+}
+
+// Other URLs for the same file, tried in order when the main one fails. Each is a URL or a map
+// with its own url, headers and auth; the entry's headers and auth are only sent to its url.
+// CSV cells hold URLs separated by spaces or "|".
+function parseMirrors(value) {
+  const mirrors = typeof value === 'string' ? value.split(/[\s|]+/).filter(m => m) : value;
+  if (!Array.isArray(mirrors)) throw new Error('mirrors must be a list of URLs');
+  return mirrors.map(mirror => {
+    if (typeof mirror === 'string') return { url: parseUrl(mirror, 'mirror') };
+    if (!mirror || typeof mirror !== 'object' || Array.isArray(mirror)) throw new Error('each mirror must be a URL or a map with a url');
+    const unknown = Object.keys(mirror).filter(key => !['url', 'headers', 'auth'].includes(key));
+    if (unknown.length > 0) throw new Error(`unknown mirror field "${unknown[0]}"`);
+    if (!mirror.url) throw new Error('mirror is missing its url');
+    const parsed = { url: parseUrl(mirror.url, 'mirror') };
+    if (mirror.headers) parsed.headers = parseHeaders(mirror.headers);
+    if (mirror.auth) parsed.auth = parseAuth(mirror.auth, `mirror ${parsed.url}`);
+    return parsed;
+  });
+}
+
+function isConfinedPath(value) {
+  return !path.isAbsolute(value) && !value.split(/[\\/]/).includes('..');
+}
+
+// Validates one raw manifest entry and converts it to a download item
+function normalizeEntry(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('entry must be an object');
+  }
+
+  const item = {};
+  for (const [key, value] of Object.entries(raw)) {
+    if (value === null || value === undefined || value === '') continue;
+
+    const field = FIELDS[key];
+    if (!field) throw new Error(`unknown field "${key}"`);
+
+    switch (field) {
+      case 'url':
+        item.url = parseUrl(value, 'url');
+        break;
+      case 'mirrors':
+        item.mirrors = parseMirrors(value);
+        break;
+      case 'fileName':
+        if (/[\\/]/.test(value) || value === '.' || value === '..') throw new Error(`filename must not contain a path: "${value}"`);
+        item.fileName = String(value);
+        break;
+      case 'subdirectory':
+        if (!isConfinedPath(String(value))) throw new Error(`subdirectory must be relative and stay inside the download directory: "${value}"`);
+        item.subdirectory = String(value);
+        break;
+      case 'size':
+        item.size = Number(value);
+        if (!Number.isInteger(item.size) || item.size <= 0) throw new Error(`size must be a positive number of bytes, got "${value}"`);
+        break;
+      case 'checksum':
+        item.checksum = parseChecksum(value);
+        break;
+      case 'headers':
+        item.headers = parseHeaders(value);
+        if (typeof item.headers !== 'object' || Array.isArray(item.headers)) throw new Error('headers must be a map of header names to values');
+        break;
+      case 'auth':
+        item.auth = parseAuth(value, 'this entry');
+        break;
+      case 'extract':
+        item.extract = parseBoolean(value);
+        break;
+      case 'extractTo':
+        if (!isConfinedPath(String(value))) throw new Error(`extract_to must be relative and stay inside the extraction directory: "${value}"`);
+        item.extractTo = String(value);
+        break;
+    }
+  }
+
+  if (!item.url) throw new Error('missing url');
+  if (item.extractTo && item.extract === undefined) item.extract = true;
+  return item;
+}
+
+function parseJsonLines(text) {
+  const entries = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (!line.trim() || line.trim().startsWith('#')) return;
+    try {
+      entries.push({ line: index + 1, raw: JSON.parse(line) });
+    } catch (error) {
+      entries.push({ line: index + 1, error: `invalid JSON: ${error.message}` });
+    }
+  });
+  return entries;
+}
+
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) throw new Error('unterminated quoted field');
+  cells.push(cell.trim());
+  return cells;
+}
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/);
+  const headerIndex = lines.findIndex(line => line.trim() && !line.trim().startsWith('#'));
+  if (headerIndex === -1) return [];
+
+  const columns = splitCsvLine(lines[headerIndex]).map(column => column.toLowerCase());
+  const entries = [];
+
+  lines.slice(headerIndex + 1).forEach((line, offset) => {
+    const lineNumber = headerIndex + offset + 2;
+    if (!line.trim() || line.trim().startsWith('#')) return;
+    try {
+      const cells = splitCsvLine(line);
+      if (cells.length > columns.length) throw new Error(`expected ${columns.length} columns, got ${cells.length}`);
+      const raw = {};
+      columns.forEach((column, i) => { raw[column] = cells[i]; });
+      entries.push({ line: lineNumber, raw });
+    } catch (error) {
+      entries.push({ line: lineNumber, error: error.message });
+    }
+  });
+  return entries;
+}
+
+// Accepts either a top-level list of entries or a map with a "files" list
+function parseYaml(text) {
+  const lineCounter = new YAML.LineCounter();
+  const doc = YAML.parseDocument(text, { lineCounter });
+  if (doc.errors.length > 0) {
+    return doc.errors.map(error => ({ line: error.linePos ? error.linePos[0].line : 1, error: error.message.split('\n')[0] }));
+  }
+
+  let list = doc.contents;
+  if (YAML.isMap(list)) list = list.get('files', true);
+  if (!YAML.isSeq(list)) {
+    return [{ line: 1, error: 'expected a list of entries or a "files" list' }];
+  }
+
+  return list.items.map(node => ({
+    line: node.range ? lineCounter.linePos(node.range[0]).line : 1,
+    raw: YAML.isNode(node) ? node.toJSON() : node
+  }));
+}
+
+const PARSERS = {
+  '.jsonl': parseJsonLines,
+  '.ndjson': parseJsonLines,
+  '.csv': parseCsv,
+  '.yaml': parseYaml,
+  '.yml': parseYaml
+};
+
+// Loads a JSONL, CSV or YAML manifest (chosen by extension) into download items.
+// All malformed entries are reported together so they can be fixed in one pass. Downloads are
+// tracked by URL, so a URL may only be listed once.
+function loadManifest(manifestPath) {
+  const parser = PARSERS[path.extname(manifestPath).toLowerCase()];
+  if (!parser) {
+    throw new Error(`Unsupported manifest format: ${manifestPath} (use .jsonl, .csv or .yaml)`);
+  }
+
+  const problems = [];
+  const items = [];
+  const urlLines = new Map();
+  for (const entry of parser(fs.readFileSync(manifestPath, 'utf8'))) {
+    if (entry.error) {
+      problems.push({ line: entry.line, message: entry.error });
+      continue;
+    }
+    try {
+      const item = normalizeEntry(entry.raw);
+      if (urlLines.has(item.url)) {
+        throw new Error(`duplicate url ${item.url}, already listed on line ${urlLines.get(item.url)}`);
+      }
+      urlLines.set(item.url, entry.line);
+      items.push({ ...item, line: entry.line });
+    } catch (error) {
+      problems.push({ line: entry.line, message: error.message });
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ManifestError(manifestPath, problems);
+  }
+  return items;
+}
+
+module.exports = {
+  ManifestError,
+  isConfinedPath,
+  loadManifest,
+  normalizeEntry,
+  parseUrl
+};
@@ -0,0 +1,83 @@
+const { getVolumeInfo } = require('./disk-space');
+
+const PREFIX = 'dataset_downloader';
+
+// Upper bounds, in seconds, of the extraction duration histogram buckets
+const DURATION_BUCKETS = [1, 5, 15, 60, 300, 900, 3600, 10800];
+
+const STATUSES = ['queued', 'active', 'completed', 'failed', 'interrupted'];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+// Writes one metric family; samples are [labels, value] or [labels, value, name suffix]
+function family(lines, name, type, help, samples) {
+  lines.push(`# HELP ${PREFIX}_${name} ${help}`);
+  lines.push(`# TYPE ${PREFIX}_${name} ${type}`);
+  for (const [labels, value, suffix = ''] of samples) {
+    lines.push(`${PREFIX}_${name}${suffix}${formatLabels(labels)} ${value}`);
+  }
+}
+
+function histogram(values, buckets) {
+  const samples = buckets.map(bound => [{ le: bound }, values.filter(value => value <= bound).length, '_bucket']);
+  samples.push([{ le: '+Inf' }, values.length, '_bucket']);
+  samples.push([{}, values.reduce((sum, value) => sum + value, 0), '_sum']);
+  samples.push([{}, values.length, '_count']);
+  return samples;
+}
+
+// Free space of every directory the run reads or writes, one sample per directory
+async function volumeSamples(instance) {
+  const directories = [...new Set([
+    instance.downloadDirectory,
+    instance.unzipSourceDirectory,
+    instance.unzipDestinationDirectory
+  ].filter(Boolean))];
+
+  const volumes = await Promise.all(directories.map(async directory => {
+    const volume = await getVolumeInfo(directory).catch(() => null);
+    return volume && { directory, ...volume };
+  }));
+  return volumes.filter(Boolean);
+}
+
+// A run's counters in the Prometheus text exposition format
+async function renderMetrics(instance, tracker) {
+  const summary = tracker.summary();
+  const volumes = await volumeSamples(instance);
+  const durations = [...tracker.extractions.values()]
+    .filter(entry => entry.status === 'completed' && entry.durationMs !== null)
+    .map(entry => entry.durationMs / 1000);
+  const lines = [];
+
+  family(lines, 'downloaded_bytes_total', 'counter', 'Bytes received by downloads, including retried ones but not those resumed from disk',
+    [[{}, tracker.bytesDownloaded]]);
+  family(lines, 'extracted_bytes_total', 'counter', 'Bytes written by extractions, including retried ones',
+    [[{}, instance.bytesExtracted]]);
+  family(lines, 'download_speed_bytes', 'gauge', 'Combined download speed over the last few seconds, in bytes per second',
+    [[{}, summary.downloads.speed]]);
+  family(lines, 'items', 'gauge', 'Downloads and extractions by status',
+    ['downloads', 'extractions'].flatMap(type => STATUSES.map(status => [{ type: type.slice(0, -1), status }, summary[type][status]])));
+  family(lines, 'retries_total', 'counter', 'Retries by type and error class',
+    [...tracker.retries].map(([key, count]) => {
+      const [type, errorClass] = key.split('/');
+      return [{ type, error_class: errorClass }, count];
+    }));
+  family(lines, 'extraction_duration_seconds', 'histogram', 'Time taken by completed extractions',
+    histogram(durations, DURATION_BUCKETS));
+  family(lines, 'volume_free_bytes', 'gauge', 'Free space on the volume of each configured directory',
+    volumes.map(volume => [{ directory: volume.directory }, volume.free]));
+  family(lines, 'volume_size_bytes', 'gauge', 'Size of the volume of each configured directory',
+    volumes.map(volume => [{ directory: volume.directory }, volume.total]));
+
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { renderMetrics };
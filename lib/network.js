@@ -0,0 +1,167 @@
+const fs = require('fs');
+const https = require('https');
+const path = require('path');
+const tls = require('tls');
+const { SocksProxyAgent } = require('socks-proxy-agent');
+const { redact } = require('./logger');
+
+const PROXY_PROTOCOLS = ['http:', 'https:', 'socks5:', 'socks5h:'];
+
+function parseProxy(value, source) {
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new Error(`Invalid proxy "${redact(value)}" in ${source}`);
+  }
+  if (!PROXY_PROTOCOLS.includes(url.protocol)) {
+    throw new Error(`Invalid proxy "${redact(value)}" in ${source}: use http://, https://, socks5:// or socks5h://`);
+  }
+  return url;
+}
+
+// "host=URL" pairs; "direct" instead of a URL skips every proxy for the host
+function parseHostProxies(entries) {
+  const proxies = new Map();
+  for (const entry of entries) {
+    const separator = entry.indexOf('=');
+    const host = entry.slice(0, separator).trim().toLowerCase();
+    const value = entry.slice(separator + 1).trim();
+    if (separator === -1 || !host || !value) {
+      throw new Error(`Invalid host proxy "${redact(entry)}" in HOST_PROXIES: expected host=URL or host=direct`);
+    }
+    if (host === '*') {
+      throw new Error('HOST_PROXIES does not take "*": set PROXY_URL for every host');
+    }
+    proxies.set(host, value === 'direct' ? null : parseProxy(value, `HOST_PROXIES (${host})`));
+  }
+  return proxies;
+}
+
+// NO_PROXY as curl reads it: "*" for every host, "example.com" or ".example.com" for the domain
+// and its subdomains, optionally limited to a port with "example.com:8080"
+function matchesNoProxy(url, noProxy) {
+  const hostname = url.hostname.toLowerCase();
+  const port = url.port || (url.protocol === 'https:' ? '443' : '80');
+  return noProxy.split(/[\s,]+/).filter(Boolean).some(entry => {
+    if (entry === '*') return true;
+    const [, host, entryPort] = entry.toLowerCase().match(/^(.+?)(?::(\d+))?$/);
+    if (entryPort && entryPort !== port) return false;
+    const domain = host.replace(/^\*?\./, '');
+    return hostname === domain || hostname.endsWith(`.${domain}`);
+  });
+}
+
+// Proxy and TLS options for every request. A host listed in HOST_PROXIES uses its own proxy (or
+// none); any other host goes direct if NO_PROXY matches it, otherwise through PROXY_URL or, without
+// one, HTTPS_PROXY / HTTP_PROXY / ALL_PROXY. CA_BUNDLE adds certificate authorities to the ones
+// Node trusts, and INSECURE_TLS turns certificate checks off altogether.
+class Network {
+  constructor({ proxyUrl = null, hostProxies = [], caBundle = null, insecureTls = false } = {}, env = process.env) {
+    this.proxy = proxyUrl ? parseProxy(proxyUrl, 'PROXY_URL') : null;
+    this.hostProxies = parseHostProxies(hostProxies);
+    // Lower case first, as curl does
+    const httpsProxy = env.https_proxy || env.HTTPS_PROXY || env.all_proxy || env.ALL_PROXY;
+    const httpProxy = env.http_proxy || env.HTTP_PROXY || env.all_proxy || env.ALL_PROXY;
+    this.envProxies = {
+      'https:': httpsProxy ? parseProxy(httpsProxy, 'HTTPS_PROXY') : null,
+      'http:': httpProxy ? parseProxy(httpProxy, 'HTTP_PROXY') : null
+    };
+    this.noProxy = env.no_proxy || env.NO_PROXY || '';
+
+    this.caBundle = caBundle && path.resolve(caBundle);
+    this.insecure = insecureTls;
+    this.tlsOptions = {};
+    if (this.caBundle) {
+      const pem = fs.readFileSync(this.caBundle, 'utf8');
+      if (!pem.includes('-----BEGIN CERTIFICATE-----')) {
+        throw new Error(`CA_BUNDLE ${this.caBundle} holds no PEM certificates`);
+      }
+      this.tlsOptions.ca = [...tls.rootCertificates, pem];
+    }
+    if (this.insecure) {
+      this.tlsOptions.rejectUnauthorized = false;
+    }
+    this.httpsAgent = Object.keys(this.tlsOptions).length > 0 ? new https.Agent(this.tlsOptions) : undefined;
+    this.socksAgents = new Map();
+
+    // Proxy passwords, for the log to redact
+    this.secrets = [this.proxy, ...this.hostProxies.values(), ...Object.values(this.envProxies)]
+      .filter(proxy => proxy && proxy.password)
+      .map(proxy => decodeURIComponent(proxy.password));
+  }
+
+  describe() {
+    const parts = [];
+    if (this.proxy) {
+      parts.push(`proxy ${this.proxy.protocol}//${this.proxy.host}`);
+    } else if (this.envProxies['https:'] || this.envProxies['http:']) {
+      parts.push('proxy from the environment');
+    }
+    if (this.noProxy && (this.proxy || this.envProxies['https:'] || this.envProxies['http:'])) {
+      parts.push(`no proxy for ${this.noProxy}`);
+    }
+    if (this.hostProxies.size > 0) {
+      parts.push(`${this.hostProxies.size} host proxies`);
+    }
+    if (this.caBundle) {
+      parts.push(`CA bundle ${this.caBundle}`);
+    }
+    return parts.join(', ');
+  }
+
+  // An exact host wins over the longest matching "*.domain" pattern; undefined when none is listed
+  hostProxy(hostname) {
+    if (this.hostProxies.has(hostname)) return this.hostProxies.get(hostname);
+    const patterns = [...this.hostProxies.keys()]
+      .filter(pattern => pattern.startsWith('*.') && hostname.endsWith(pattern.slice(1)))
+      .sort((a, b) => b.length - a.length);
+    return patterns.length > 0 ? this.hostProxies.get(patterns[0]) : undefined;
+  }
+
+  // The proxy URL for a request, or null to connect directly
+  proxyFor(url) {
+    const target = new URL(url);
+    const hostProxy = this.hostProxy(target.hostname.toLowerCase());
+    if (hostProxy !== undefined) return hostProxy;
+    if (matchesNoProxy(target, this.noProxy)) return null;
+    return this.proxy || this.envProxies[target.protocol] || null;
+  }
+
+  socksAgent(proxy) {
+    if (!this.socksAgents.has(proxy.href)) {
+      // The agent's own options reach the TLS connection made through the tunnel
+      this.socksAgents.set(proxy.href, new SocksProxyAgent(proxy, this.tlsOptions));
+    }
+    return this.socksAgents.get(proxy.href);
+  }
+
+  // Options to spread into an axios request. The proxy is always decided here, so axios does
+  // not read the environment again.
+  requestOptions(url) {
+    const proxy = this.proxyFor(url);
+    if (!proxy) {
+      return { proxy: false, httpsAgent: this.httpsAgent };
+    }
+    if (proxy.protocol.startsWith('socks')) {
+      const agent = this.socksAgent(proxy);
+      return { proxy: false, httpAgent: agent, httpsAgent: agent };
+    }
+
+    // HTTPS targets are tunnelled with CONNECT; axios takes the TLS options from httpsAgent
+    const options = {
+      protocol: proxy.protocol,
+      host: proxy.hostname,
+      port: parseInt(proxy.port) || (proxy.protocol === 'https:' ? 443 : 80)
+    };
+    if (proxy.username) {
+      options.auth = { username: decodeURIComponent(proxy.username), password: decodeURIComponent(proxy.password) };
+    }
+    return { proxy: options, httpsAgent: this.httpsAgent };
+  }
+}
+
+module.exports = {
+  Network,
+  matchesNoProxy
+};
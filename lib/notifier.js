@@ -0,0 +1,169 @@
+const axios = require('axios');
+const os = require('os');
+const { spawn } = require('child_process');
+const { redact } = require('./logger');
+
+const EVENTS = ['complete', 'failure', 'extraction'];
+
+// A notification command is killed if it runs longer than this
+const COMMAND_TIMEOUT_MS = 60000;
+
+// Webhook URLs often hold a token, so only the host is ever logged
+function parseWebhook(url, setting) {
+  try {
+    return { url, host: new URL(url).host };
+  } catch (error) {
+    throw new Error(`Invalid URL in ${setting}: ${url}`);
+  }
+}
+
+// Tells webhooks and shell commands about a run: 'complete' when run() finishes, 'failure' for
+// every download or extraction that fails for good, and 'extraction' when a batch of archives is
+// done. Webhooks get the event as a JSON POST, Slack webhooks a one-line message, and commands
+// the JSON on stdin with NOTIFY_EVENT set. A notifier that fails is logged and otherwise ignored.
+class Notifier {
+  constructor(instance, { notifyWebhooks = [], notifySlackWebhooks = [], notifyCommands = [], notifyEvents = EVENTS, timeout = 30000 } = {}) {
+    const unknown = notifyEvents.filter(event => !EVENTS.includes(event));
+    if (unknown.length > 0) {
+      throw new Error(`Invalid NOTIFY_EVENTS ${unknown.join(', ')}: use ${EVENTS.join(', ')}`);
+    }
+
+    this.instance = instance;
+    this.webhooks = notifyWebhooks.map(url => parseWebhook(url, 'NOTIFY_WEBHOOKS'));
+    this.slackWebhooks = notifySlackWebhooks.map(url => parseWebhook(url, 'NOTIFY_SLACK_WEBHOOKS'));
+    this.commands = notifyCommands;
+    this.events = notifyEvents;
+    this.timeout = timeout;
+    this.pending = new Set();
+    // The last download and extraction summaries, sent again with 'complete'
+    this.summaries = {};
+
+    if (!this.enabled) return;
+
+    instance.on('summary', (summary) => {
+      this.summaries[summary.type] = summary;
+      if (summary.type === 'extraction') {
+        this.notify('extraction', summary);
+      }
+    });
+    // URLs and error messages can carry credentials, which are redacted as in the log
+    const clean = (text) => (typeof text === 'string' ? redact(text, instance.secrets) : text);
+    instance.on('download', (result) => {
+      if (!result.success && !result.interrupted) {
+        this.notify('failure', { type: 'download', url: clean(result.url || result.item.url), error: clean(result.error) });
+      }
+    });
+    instance.on('extraction', (result) => {
+      if (!result.success && !result.interrupted) {
+        this.notify('failure', { type: 'extraction', path: result.sourceFilePath, error: clean(result.error) });
+      }
+    });
+  }
+
+  get enabled() {
+    return this.webhooks.length + this.slackWebhooks.length + this.commands.length > 0;
+  }
+
+  describe() {
+    const targets = [
+      this.webhooks.length && `${this.webhooks.length} webhooks`,
+      this.slackWebhooks.length && `${this.slackWebhooks.length} Slack webhooks`,
+      this.commands.length && `${this.commands.length} commands`
+    ].filter(Boolean);
+    return `${targets.join(', ')} on ${this.events.join(', ')}`;
+  }
+
+  // Sends to every target in the background; finish() waits for whatever is still in flight
+  notify(event, data) {
+    if (!this.enabled || !this.events.includes(event)) return;
+
+    const payload = {
+      event,
+      tool: this.instance.constructor.name,
+      host: os.hostname(),
+      timestamp: new Date().toISOString(),
+      ...data
+    };
+    const sends = [
+      ...this.webhooks.map(({ url, host }) => this.send(`webhook ${host}`, () => this.postJson(url, payload))),
+      ...this.slackWebhooks.map(({ url, host }) => this.send(`Slack webhook ${host}`, () => this.postJson(url, { text: this.formatText(payload) }))),
+      ...this.commands.map(command => this.send(`command "${command}"`, () => this.runCommand(command, payload)))
+    ];
+    for (const sending of sends) {
+      this.pending.add(sending);
+      sending.finally(() => this.pending.delete(sending));
+    }
+  }
+
+  async send(target, deliver) {
+    try {
+      await deliver();
+    } catch (error) {
+      this.instance.log('warn', `Notification to ${target} failed: ${error.message}`);
+    }
+  }
+
+  // Webhooks go through the same proxy and CA bundle as downloads
+  postJson(url, body) {
+    return axios.post(url, body, { timeout: this.timeout, ...this.instance.network.requestOptions(url) });
+  }
+
+  runCommand(command, payload) {
+    return new Promise((resolve, reject) => {
+      const child = spawn(command, {
+        shell: true,
+        stdio: ['pipe', 'ignore', 'pipe'],
+        timeout: COMMAND_TIMEOUT_MS,
+        env: { ...process.env, NOTIFY_EVENT: payload.event }
+      });
+      let stderr = '';
+      child.stderr.on('data', (chunk) => { stderr = (stderr + chunk).slice(-500); });
+      // Commands that never read stdin close it early; that is not a failure
+      child.stdin.on('error', () => {});
+      child.stdin.end(JSON.stringify(payload));
+
+      child.on('error', reject);
+      child.on('close', (code, signal) => {
+        if (code === 0) {
+          resolve();
+        } else {
+          reject(new Error(`${signal ? `killed by ${signal}` : `exit code ${code}`}${stderr.trim() ? `: ${stderr.trim()}` : ''}`));
+        }
+      });
+    });
+  }
+
+  formatText(payload) {
+    const bytes = (count) => this.instance.formatBytes(count || 0);
+    switch (payload.event) {
+      case 'failure':
+        return payload.type === 'download'
+          ? `Download failed on ${payload.host}: ${payload.url} (${payload.error})`
+          : `Extraction failed on ${payload.host}: ${payload.path} (${payload.error})`;
+      case 'extraction':
+        return `Extraction finished on ${payload.host}: ${payload.completed}/${payload.total} archives extracted, ${payload.failed} failed, ${payload.files} files, ${bytes(payload.bytes)} in ${payload.durationSeconds} seconds`;
+      default: {
+        const parts = [];
+        if (payload.downloads) {
+          parts.push(`${payload.downloads.completed}/${payload.downloads.total} files downloaded (${bytes(payload.downloads.bytes)})`);
+        }
+        if (payload.extractions || payload.extracted > 0) {
+          parts.push(`${payload.extracted} archives extracted`);
+        }
+        parts.push(`${(payload.failed || 0) + payload.failedExtractions} failed`);
+        if (payload.interrupted > 0) {
+          parts.push(`${payload.interrupted} interrupted`);
+        }
+        return `${payload.tool} ${payload.success ? 'finished' : 'finished with problems'} on ${payload.host}: ${parts.join(', ')}`;
+      }
+    }
+  }
+
+  // Sends 'complete' with the run's totals and the last summaries, then waits for every notification
+  async finish(totals) {
+    this.notify('complete', { ...totals, downloads: this.summaries.download || null, extractions: this.summaries.extraction || null });
+    await Promise.all(this.pending);
+  }
+}
+
+module.exports = Notifier;
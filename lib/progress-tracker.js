@@ -0,0 +1,234 @@
+// Speeds are averaged over this much recent progress
+const SPEED_WINDOW_MS = 5000;
+
+function speedOf(samples) {
+  if (samples.length < 2) return 0;
+  const first = samples[0];
+  const last = samples[samples.length - 1];
+  return last.time > first.time ? (last.bytes - first.bytes) / ((last.time - first.time) / 1000) : 0;
+}
+
+// Live state of a run, kept from the events a FileDownloader or ArchiveExtractor emits:
+// every item with its bytes, speed, attempts and last error, plus totals for the run.
+// The status server and metrics read it; nothing here changes how the run behaves.
+class ProgressTracker {
+  constructor(instance) {
+    this.instance = instance;
+    this.startedAt = new Date().toISOString();
+    this.downloads = new Map();
+    this.extractions = new Map();
+    // Every byte received this run, including retried ones, and recent totals for the overall speed
+    this.bytesDownloaded = 0;
+    this.samples = [];
+    // Retries by "type/error class", e.g. "download/timeout"
+    this.retries = new Map();
+
+    for (const item of instance.downloadItems || []) {
+      this.downloads.set(item.url, this.newDownload(item.url, item.fileName, item.size));
+    }
+
+    instance.on('queued', (event) => this.onQueued(event));
+    instance.on('start', (event) => this.onStart(event));
+    instance.on('progress', (event) => this.onProgress(event));
+    instance.on('download', (result) => this.onDownload(result));
+    instance.on('extraction', (result) => this.onExtraction(result));
+    instance.on('retry', (event) => this.onRetry(event));
+  }
+
+  newDownload(url, fileName, size) {
+    return {
+      url,
+      fileName: fileName || null,
+      status: 'queued',
+      bytesDone: 0,
+      totalBytes: size || null,
+      attempts: 0,
+      lastError: null,
+      mirror: null,
+      startedAt: null,
+      finishedAt: null,
+      samples: []
+    };
+  }
+
+  newExtraction(filePath, fileName) {
+    return {
+      path: filePath,
+      fileName: fileName || null,
+      status: 'queued',
+      attempts: 0,
+      lastError: null,
+      extractedFiles: 0,
+      extractedSize: 0,
+      startedAt: null,
+      finishedAt: null,
+      durationMs: null
+    };
+  }
+
+  // Extractions are only known once the archives to extract have been chosen
+  onQueued({ items }) {
+    for (const { path: filePath, fileName } of items) {
+      if (!this.extractions.has(filePath)) {
+        this.extractions.set(filePath, this.newExtraction(filePath, fileName));
+      }
+    }
+  }
+
+  onStart(event) {
+    const now = new Date().toISOString();
+    if (event.type === 'download') {
+      const entry = this.downloads.get(event.url) || this.newDownload(event.url);
+      this.downloads.set(event.url, Object.assign(entry, {
+        status: 'active',
+        attempts: event.attempt,
+        startedAt: entry.startedAt || now,
+        samples: []
+      }));
+    } else {
+      const entry = this.extractions.get(event.path) || this.newExtraction(event.path);
+      this.extractions.set(event.path, Object.assign(entry, {
+        fileName: event.fileName,
+        status: 'active',
+        attempts: event.attempt,
+        lastError: null,
+        extractedFiles: 0,
+        extractedSize: 0,
+        startedAt: now,
+        finishedAt: null,
+        durationMs: null
+      }));
+    }
+  }
+
+  // bytes is what arrived with this event; bytesDone also counts what an earlier attempt or run left on disk
+  onProgress({ url, fileName, bytes, bytesDone, totalBytes }) {
+    const entry = this.downloads.get(url);
+    if (!entry) return;
+
+    const now = Date.now();
+    this.bytesDownloaded += bytes;
+    entry.fileName = fileName;
+    entry.bytesDone = bytesDone;
+    entry.totalBytes = totalBytes || entry.totalBytes;
+
+    entry.samples.push({ time: now, bytes: bytesDone });
+    while (entry.samples.length > 2 && now - entry.samples[0].time > SPEED_WINDOW_MS) {
+      entry.samples.shift();
+    }
+    this.samples.push({ time: now, bytes: this.bytesDownloaded });
+    while (this.samples.length > 2 && now - this.samples[0].time > SPEED_WINDOW_MS) {
+      this.samples.shift();
+    }
+  }
+
+  onDownload(result) {
+    const url = result.url || result.item.url;
+    const entry = this.downloads.get(url) || this.newDownload(url);
+    let status = 'failed';
+    if (result.success) {
+      status = 'completed';
+    } else if (result.interrupted) {
+      status = 'interrupted';
+    }
+
+    this.downloads.set(url, Object.assign(entry, {
+      status,
+      fileName: result.fileName || entry.fileName,
+      lastError: result.success ? null : result.error,
+      mirror: result.mirror || null,
+      finishedAt: new Date().toISOString(),
+      skipped: Boolean(result.skipped),
+      samples: []
+    }));
+  }
+
+  onExtraction(result) {
+    const entry = this.extractions.get(result.sourceFilePath) || this.newExtraction(result.sourceFilePath);
+    let status = 'failed';
+    if (result.success) {
+      status = 'completed';
+    } else if (result.interrupted) {
+      status = 'interrupted';
+    }
+
+    const finishedAt = new Date();
+    this.extractions.set(result.sourceFilePath, Object.assign(entry, {
+      fileName: result.fileName || entry.fileName,
+      status,
+      lastError: result.success ? null : result.error,
+      extractedFiles: result.extractedFiles || 0,
+      extractedSize: result.extractedSize || 0,
+      finishedAt: finishedAt.toISOString(),
+      durationMs: entry.startedAt ? finishedAt - new Date(entry.startedAt) : null,
+      skipped: Boolean(result.skipped)
+    }));
+  }
+
+  onRetry({ type, errorClass }) {
+    const key = `${type}/${errorClass}`;
+    this.retries.set(key, (this.retries.get(key) || 0) + 1);
+  }
+
+  // The current speed; an item that has not reported for a whole window counts as stalled
+  currentSpeed(samples) {
+    if (samples.length === 0 || Date.now() - samples[samples.length - 1].time > SPEED_WINDOW_MS) return 0;
+    return speedOf(samples);
+  }
+
+  download(url) {
+    const entry = this.downloads.get(url);
+    if (!entry) return null;
+
+    const { samples, ...state } = entry;
+    const speed = entry.status === 'active' ? this.currentSpeed(samples) : 0;
+    const remaining = entry.totalBytes ? entry.totalBytes - entry.bytesDone : null;
+    return {
+      ...state,
+      speed: Math.round(speed),
+      eta: speed > 0 && remaining !== null ? Math.round(remaining / speed) : null
+    };
+  }
+
+  extraction(filePath) {
+    return this.extractions.get(filePath) || null;
+  }
+
+  countByStatus(entries) {
+    const counts = { queued: 0, active: 0, completed: 0, failed: 0, interrupted: 0 };
+    for (const entry of entries) {
+      counts[entry.status]++;
+    }
+    return counts;
+  }
+
+  summary() {
+    const downloads = [...this.downloads.keys()].map(url => this.download(url));
+    const extractions = [...this.extractions.values()];
+    const speed = downloads.some(entry => entry.status === 'active') ? this.currentSpeed(this.samples) : 0;
+    const remaining = downloads
+      .filter(entry => entry.totalBytes && ['queued', 'active'].includes(entry.status))
+      .reduce((sum, entry) => sum + entry.totalBytes - entry.bytesDone, 0);
+
+    return {
+      startedAt: this.startedAt,
+      uptimeSeconds: Math.round((Date.now() - new Date(this.startedAt)) / 1000),
+      shuttingDown: this.instance.shuttingDown,
+      downloads: {
+        total: downloads.length,
+        ...this.countByStatus(downloads),
+        bytesDownloaded: this.bytesDownloaded,
+        speed: Math.round(speed),
+        eta: speed > 0 ? Math.round(remaining / speed) : null
+      },
+      extractions: {
+        total: extractions.length,
+        ...this.countByStatus(extractions),
+        extractedFiles: extractions.reduce((sum, entry) => sum + entry.extractedFiles, 0),
+        extractedSize: extractions.reduce((sum, entry) => sum + entry.extractedSize, 0)
+      }
+    };
+  }
+}
+
+module.exports = ProgressTracker;
@@ -0,0 +1,150 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { Readable } = require('stream');
+
+// Volume naming schemes. Each turns a part's file name into the set's name and the part's
+// position, so that "data.zip.001" and "data.zip.002" both belong to "data.zip".
+const SCHEMES = [
+  {
+    // 7-Zip / HJSplit: data.zip.001, data.tar.gz.002, ...
+    pattern: /^(.+)\.(\d{3})$/,
+    parse: match => ({ name: match[1], index: parseInt(match[2], 10) - 1 }),
+    label: index => String(index + 1).padStart(3, '0')
+  },
+  {
+    // split -b with a ".part" prefix: data.tar.gz.partaa, data.tar.gz.partab, ...
+    pattern: /^(.+)\.part([a-z]{2})$/,
+    parse: match => ({ name: match[1], index: (match[2].charCodeAt(0) - 97) * 26 + match[2].charCodeAt(1) - 97 }),
+    label: index => `part${String.fromCharCode(97 + Math.floor(index / 26), 97 + (index % 26))}`
+  },
+  {
+    // zip -s: data.z01, data.z02, ... and data.zip as the last volume
+    pattern: /^(.+)\.z(\d{2,})$/i,
+    parse: match => ({ name: `${match[1]}.zip`, index: parseInt(match[2], 10) - 1 }),
+    label: index => `z${String(index + 1).padStart(2, '0')}`,
+    spanned: true
+  }
+];
+
+// Spanned zips start with this marker, which stream parsers do not expect before the first entry
+const SPANNING_MARKERS = ['504b0708', '504b3030'];
+const EOCD_SIGNATURE = 0x06054b50;
+
+function matchPart(fileName) {
+  for (const scheme of SCHEMES) {
+    const match = fileName.match(scheme.pattern);
+    if (match) return { scheme, ...scheme.parse(match) };
+  }
+  return null;
+}
+
+// The end of central directory record in a spanned zip's last volume says which disk it is on,
+// which tells us how many volumes there should be in total
+async function readSpannedVolumeCount(zipPath) {
+  const { size } = await fs.stat(zipPath);
+  const length = Math.min(size, 65557);
+  const buffer = Buffer.alloc(length);
+  const handle = await fs.open(zipPath, 'r');
+  try {
+    await fs.read(handle, buffer, 0, length, size - length);
+  } finally {
+    await fs.close(handle);
+  }
+
+  for (let offset = length - 22; offset >= 0; offset--) {
+    if (buffer.readUInt32LE(offset) === EOCD_SIGNATURE) {
+      const disk = buffer.readUInt16LE(offset + 4);
+      return disk === 0xffff ? null : disk + 1;
+    }
+  }
+  return null;
+}
+
+// Groups the volumes of split archives among a list of { path, name, size } files. Files that are
+// not volumes come back unchanged; each set comes back as one archive, named after the joined
+// file, with its volumes in order under `parts` and any gaps listed in `missingParts`.
+async function groupSplitArchives(files) {
+  const sets = new Map();
+  const singles = [];
+
+  for (const file of files) {
+    const part = matchPart(file.name);
+    if (!part) {
+      singles.push(file);
+      continue;
+    }
+
+    const key = path.join(path.dirname(file.path), part.name);
+    if (!sets.has(key)) {
+      sets.set(key, { name: part.name, scheme: part.scheme, volumes: [] });
+    }
+    sets.get(key).volumes.push({ ...file, index: part.index });
+  }
+
+  const archives = [];
+  for (const [key, set] of sets) {
+    const volumes = set.volumes.sort((a, b) => a.index - b.index);
+    let count = volumes[volumes.length - 1].index + 1;
+
+    // The .zip of a spanned set is its last volume rather than an archive of its own
+    if (set.scheme.spanned) {
+      const lastIndex = singles.findIndex(file => file.path === key);
+      if (lastIndex === -1) {
+        volumes.push(null);
+      } else {
+        const [last] = singles.splice(lastIndex, 1);
+        const total = await readSpannedVolumeCount(last.path);
+        count = Math.max(count, (total || 1) - 1);
+        volumes.push(last);
+      }
+    }
+
+    const present = new Set(volumes.filter(v => v && v.index !== undefined).map(v => v.index));
+    const missingParts = [];
+    for (let index = 0; index < count; index++) {
+      if (!present.has(index)) missingParts.push(`${set.name.replace(/\.zip$/i, '')}.${set.scheme.label(index)}`);
+    }
+    if (set.scheme.spanned && volumes[volumes.length - 1] === null) {
+      missingParts.push(set.name);
+    }
+
+    const parts = volumes.filter(v => v);
+    const { index, ...first } = parts[0];
+    archives.push({
+      ...first,
+      name: set.name,
+      size: parts.reduce((sum, v) => sum + v.size, 0),
+      parts: parts.map(v => v.path),
+      missingParts
+    });
+  }
+
+  return [...singles, ...archives];
+}
+
+// Reads the parts back to back as one stream; bytesRead counts what has been consumed so far
+function createPartsStream(parts) {
+  async function* readParts() {
+    let first = true;
+    for (const part of parts) {
+      for await (const chunk of fs.createReadStream(part)) {
+        stream.bytesRead += chunk.length;
+        if (first && SPANNING_MARKERS.includes(chunk.toString('hex', 0, 4))) {
+          yield chunk.subarray(4);
+        } else {
+          yield chunk;
+        }
+        first = false;
+      }
+    }
+  }
+
+  const stream = Readable.from(readParts(), { objectMode: false });
+  stream.bytesRead = 0;
+  return stream;
+}
+
+module.exports = {
+  createPartsStream,
+  groupSplitArchives
+};
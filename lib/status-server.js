@@ -0,0 +1,152 @@
+const http = require('http');
+const { redact } = require('./logger');
+const { renderMetrics } = require('./metrics');
+
+// Event stream clients get an item's progress at most this often; starts and results go out at once
+const PROGRESS_INTERVAL_MS = 1000;
+
+// Local HTTP server with a run's live state as JSON, and a Server-Sent Events stream of it:
+//   GET /status                 totals for the run
+//   GET /downloads[?url=]       every download, or one
+//   GET /extractions[?path=]    every extraction, or one
+//   GET /events                 'start', 'progress', 'download', 'extraction' and a final 'done'
+//   GET /metrics                counters and gauges in the Prometheus text format
+class StatusServer {
+  constructor(instance, tracker, { host = '127.0.0.1', port }) {
+    this.instance = instance;
+    this.tracker = tracker;
+    this.host = host;
+    this.port = port;
+    this.clients = new Set();
+    this.lastProgress = new Map();
+    this.server = null;
+    // [event, listener] pairs added to the instance, removed again by stop()
+    this.listeners = [];
+  }
+
+  start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+
+    // The tracker subscribed first, so it is up to date by the time these run
+    this.listeners = [
+      ['start', (event) => this.broadcast('start', event)],
+      ['progress', ({ url }) => {
+        const now = Date.now();
+        if (now - (this.lastProgress.get(url) || 0) < PROGRESS_INTERVAL_MS) return;
+        this.lastProgress.set(url, now);
+        this.broadcast('progress', this.tracker.download(url));
+      }],
+      ['download', (result) => this.broadcast('download', this.tracker.download(result.url || result.item.url))],
+      ['extraction', (result) => this.broadcast('extraction', this.tracker.extraction(result.sourceFilePath))]
+    ];
+    this.listeners.forEach(([event, listener]) => this.instance.on(event, listener));
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', (error) => {
+        this.detach();
+        reject(error);
+      });
+      this.server.listen(this.port, this.host, () => resolve(this.server.address()));
+    });
+  }
+
+  handle(req, res) {
+    if (req.method !== 'GET') {
+      this.send(res, 405, { error: 'Only GET is supported' });
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    switch (url.pathname) {
+      case '/':
+      case '/status':
+        this.send(res, 200, this.tracker.summary());
+        break;
+      case '/downloads':
+        this.sendItems(res, url.searchParams.get('url'), [...this.tracker.downloads.keys()], key => this.tracker.download(key));
+        break;
+      case '/extractions':
+        this.sendItems(res, url.searchParams.get('path'), [...this.tracker.extractions.keys()], key => this.tracker.extraction(key));
+        break;
+      case '/events':
+        this.subscribe(req, res);
+        break;
+      case '/metrics':
+        this.sendMetrics(res);
+        break;
+      default:
+        this.send(res, 404, { error: `Unknown endpoint ${url.pathname}` });
+    }
+  }
+
+  sendItems(res, key, keys, lookup) {
+    if (!key) {
+      this.send(res, 200, keys.map(lookup));
+      return;
+    }
+    const item = lookup(key);
+    this.send(res, item ? 200 : 404, item || { error: `Not found: ${key}` });
+  }
+
+  // URLs and error messages can carry credentials, so every string sent is redacted as in the log
+  serialize(body, space) {
+    return JSON.stringify(body, (key, value) => (typeof value === 'string' ? redact(value, this.instance.secrets) : value), space);
+  }
+
+  send(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(this.serialize(body, 2));
+  }
+
+  async sendMetrics(res) {
+    try {
+      const body = await renderMetrics(this.instance, this.tracker);
+      res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4' });
+      res.end(body);
+    } catch (error) {
+      this.send(res, 500, { error: error.message });
+    }
+  }
+
+  // New clients get the current totals first, then events as they happen
+  subscribe(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.write(`event: status\ndata: ${this.serialize(this.tracker.summary())}\n\n`);
+    this.clients.add(res);
+    req.on('close', () => this.clients.delete(res));
+  }
+
+  broadcast(event, data) {
+    const message = `event: ${event}\ndata: ${this.serialize(data)}\n\n`;
+    for (const client of this.clients) {
+      client.write(message);
+    }
+  }
+
+  detach() {
+    this.listeners.forEach(([event, listener]) => this.instance.off(event, listener));
+    this.listeners = [];
+  }
+
+  // Sends the final totals to event stream clients, closes every connection and stops listening
+  // to the instance
+  stop() {
+    this.detach();
+    this.broadcast('done', this.tracker.summary());
+    for (const client of this.clients) {
+      client.end();
+    }
+    this.clients.clear();
+
+    return new Promise(resolve => {
+      this.server.close(() => resolve());
+      this.server.closeAllConnections();
+    });
+  }
+}
+
+module.exports = StatusServer;
@@ -0,0 +1,70 @@
+// Continuous worker pool: a new item starts as soon as any slot frees up,
+// instead of waiting for a whole batch to finish
+class WorkQueue {
+  constructor(options = {}) {
+    this.concurrency = Math.max(1, options.concurrency || 1);
+    // Optional cap on items running at once per key (e.g. per host); 0 means no cap
+    this.perKeyLimit = options.perKeyLimit || 0;
+    this.keyOf = options.keyOf || (() => null);
+    // Optional sort applied before scheduling; the sort is stable so ties keep input order
+    this.compare = options.compare || null;
+    // Once aborted no new items start; running ones are left to the worker to cancel
+    this.signal = options.signal || null;
+  }
+
+  // Runs worker(item, index) over all items and resolves with results in input order.
+  // Items never started because of the signal get onSkip(item, index) as their result.
+  run(items, worker, { onResult = () => {}, onSkip = () => undefined } = {}) {
+    const pending = items.map((item, index) => ({ item, index }));
+    if (this.compare) {
+      pending.sort((a, b) => this.compare(a.item, b.item));
+    }
+
+    const results = new Array(items.length);
+    const activePerKey = new Map();
+    let active = 0;
+
+    return new Promise((resolve, reject) => {
+      const finishIfIdle = () => {
+        if (active > 0) return;
+        if (this.signal && this.signal.aborted) {
+          pending.splice(0).forEach(({ item, index }) => { results[index] = onSkip(item, index); });
+        }
+        if (pending.length === 0) resolve(results);
+      };
+
+      const nextRunnable = () => {
+        if (!this.perKeyLimit) return 0;
+        return pending.findIndex(({ item }) => (activePerKey.get(this.keyOf(item)) || 0) < this.perKeyLimit);
+      };
+
+      const schedule = () => {
+        while (active < this.concurrency && pending.length > 0 && !(this.signal && this.signal.aborted)) {
+          const position = nextRunnable();
+          if (position === -1) break;
+
+          const [{ item, index }] = pending.splice(position, 1);
+          const key = this.keyOf(item);
+          active++;
+          activePerKey.set(key, (activePerKey.get(key) || 0) + 1);
+
+          Promise.resolve()
+            .then(() => worker(item, index))
+            .then(result => {
+              results[index] = result;
+              active--;
+              activePerKey.set(key, activePerKey.get(key) - 1);
+              onResult(result, item, index);
+              schedule();
+            })
+            .catch(reject);
+        }
+        finishIfIdle();
+      };
+
+      schedule();
+    });
+  }
+}
+
+module.exports = WorkQueue;
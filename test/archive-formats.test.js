@@ -0,0 +1,108 @@
+const assert = require('assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs-extra');
+const path = require('path');
+const tar = require('tar');
+const zlib = require('zlib');
+const { test } = require('node:test');
+const ArchiveExtractor = require('../lib/extractor');
+const { decompressedName, detectFormat, formatFromName } = require('../lib/archive-format');
+const { createZip, tempDirectory } = require('./helpers');
+
+function hasTool(command) {
+  try {
+    execFileSync(command, ['--version'], { stdio: 'ignore' });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function compress(command, buffer) {
+  return execFileSync(command, ['-c'], { input: buffer });
+}
+
+async function createTar(directory, files) {
+  const source = path.join(directory, 'tar-source');
+  for (const [name, content] of Object.entries(files)) {
+    await fs.outputFile(path.join(source, name), content);
+  }
+  const tarPath = path.join(directory, 'source.tar');
+  await tar.c({ cwd: source, file: tarPath }, Object.keys(files));
+  const buffer = await fs.readFile(tarPath);
+  await fs.remove(source);
+  await fs.remove(tarPath);
+  return buffer;
+}
+
+test('names map to a container and a compression', () => {
+  assert.deepStrictEqual(formatFromName('a.ZIP'), { type: 'zip', compression: null });
+  assert.deepStrictEqual(formatFromName('a.tar'), { type: 'tar', compression: null });
+  assert.deepStrictEqual(formatFromName('a.tgz'), { type: 'tar', compression: 'gzip' });
+  assert.deepStrictEqual(formatFromName('a.tar.bz2'), { type: 'tar', compression: 'bzip2' });
+  assert.deepStrictEqual(formatFromName('a.tbz2'), { type: 'tar', compression: 'bzip2' });
+  assert.deepStrictEqual(formatFromName('a.txz'), { type: 'tar', compression: 'xz' });
+  assert.deepStrictEqual(formatFromName('a.tar.zst'), { type: 'tar', compression: 'zstd' });
+  assert.deepStrictEqual(formatFromName('a.csv.gz'), { type: 'file', compression: 'gzip' });
+  assert.deepStrictEqual(formatFromName('a.json.zstd'), { type: 'file', compression: 'zstd' });
+  assert.deepStrictEqual(formatFromName('a.csv'), { type: 'unknown', compression: null });
+
+  assert.strictEqual(decompressedName('annotations.CSV.GZ'), 'annotations.CSV');
+  assert.strictEqual(decompressedName('dump.xz'), 'dump');
+  assert.strictEqual(decompressedName('a.tgz'), 'a.tgz.out');
+});
+
+test('the format comes from the contents, not the name', async (t) => {
+  const directory = await tempDirectory(t);
+  const tarBuffer = await createTar(directory, { 'data.txt': 'hello\n' });
+  const write = async (name, content) => {
+    const filePath = path.join(directory, name);
+    await fs.writeFile(filePath, content);
+    return filePath;
+  };
+
+  assert.deepStrictEqual(await detectFormat(await write('really-a-zip.tar.gz', createZip({ 'a.txt': 'a' }))), { type: 'zip', compression: null });
+  assert.deepStrictEqual(await detectFormat(await write('really-a-tar.zip', tarBuffer)), { type: 'tar', compression: null });
+  // A .gz holding a tar is a tar, whatever it is called
+  assert.deepStrictEqual(await detectFormat(await write('dump.gz', zlib.gzipSync(tarBuffer))), { type: 'tar', compression: 'gzip' });
+  assert.deepStrictEqual(await detectFormat(await write('notes.csv.gz', zlib.gzipSync('a,b\n1,2\n'))), { type: 'file', compression: 'gzip' });
+  // Without magic bytes the name decides
+  assert.deepStrictEqual(await detectFormat(await write('plain.tgz', 'not compressed')), { type: 'tar', compression: 'gzip' });
+});
+
+test('tars in every compression and single compressed files are extracted', async (t) => {
+  const tools = ['bzip2', 'xz', 'zstd'].filter(hasTool);
+  if (tools.length < 3) t.diagnostic(`not installed, skipped: ${['bzip2', 'xz', 'zstd'].filter(tool => !tools.includes(tool)).join(', ')}`);
+
+  const directory = await tempDirectory(t);
+  const archives = path.join(directory, 'archives');
+  const tarBuffer = await createTar(directory, { 'data.txt': 'hello\n' });
+  const extensions = { bzip2: ['.tar.bz2', '.bz2'], xz: ['.txz', '.xz'], zstd: ['.tar.zst', '.zst'] };
+
+  // Each archive goes into a directory named after it without its last extension
+  const expected = { 'plain/data.txt': 'hello\n', 'gzipped.tar/data.txt': 'hello\n', 'notes.csv/notes.csv': 'a,b\n' };
+  await fs.outputFile(path.join(archives, 'plain.tar'), tarBuffer);
+  await fs.outputFile(path.join(archives, 'gzipped.tar.gz'), zlib.gzipSync(tarBuffer));
+  await fs.outputFile(path.join(archives, 'notes.csv.gz'), zlib.gzipSync('a,b\n'));
+  for (const tool of tools) {
+    const [tarExtension, fileExtension] = extensions[tool];
+    await fs.outputFile(path.join(archives, `${tool}${tarExtension}`), compress(tool, tarBuffer));
+    await fs.outputFile(path.join(archives, `${tool}-notes.csv${fileExtension}`), compress(tool, Buffer.from(`${tool}\n`)));
+    expected[`${path.parse(`${tool}${tarExtension}`).name}/data.txt`] = 'hello\n';
+    expected[`${tool}-notes.csv/${tool}-notes.csv`] = `${tool}\n`;
+  }
+
+  const result = await new ArchiveExtractor({
+    unzipSourceDirectory: archives,
+    unzipDestinationDirectory: path.join(directory, 'out'),
+    stateFile: path.join(directory, 'state.json'),
+    diskSpacePolicy: 'off',
+    retryAttempts: 1
+  }).run();
+
+  assert.strictEqual(result.success, true);
+  const out = path.join(directory, 'out');
+  for (const [name, content] of Object.entries(expected)) {
+    assert.strictEqual(await fs.readFile(path.join(out, name), 'utf8'), content, name);
+  }
+});
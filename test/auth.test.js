@@ -0,0 +1,100 @@
+const assert = require('assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { test } = require('node:test');
+const { Credentials, expandEnv, parseAuth, parseCookiesTxt, parseNetrc } = require('../lib/auth');
+const { tempDirectory } = require('./helpers');
+
+test('auth entries accept maps and the CSV shorthands, and refuse ambiguous ones', () => {
+  assert.deepStrictEqual(parseAuth('bearer:abc:def', 'row'), { bearer: 'abc:def' });
+  assert.deepStrictEqual(parseAuth('basic:alice:pa:ss', 'row'), { username: 'alice', password: 'pa:ss' });
+  assert.deepStrictEqual(parseAuth({ headers: { 'X-Api-Key': 'k' } }, 'row'), { headers: { 'X-Api-Key': 'k' } });
+
+  assert.throws(() => parseAuth('token:abc', 'row'), /must be "bearer:<token>" or "basic:<user>:<password>"/);
+  assert.throws(() => parseAuth('basic:alice', 'row'), /must be "bearer:<token>"/);
+  assert.throws(() => parseAuth({ bearer: 'a', username: 'b' }, 'row'), /both a bearer token and a username\/password/);
+  assert.throws(() => parseAuth({ token: 'a' }, 'row'), /unknown auth field "token" in row/);
+  assert.throws(() => parseAuth({ headers: ['a'] }, 'row'), /auth headers in row must be a map/);
+});
+
+test('${NAME} is read from the environment and a missing variable is an error', () => {
+  assert.strictEqual(expandEnv('Bearer ${TOKEN}', 'row', { TOKEN: 'secret' }), 'Bearer secret');
+  assert.throws(() => expandEnv('${MISSING}', 'line 3', {}), /line 3 refers to \$\{MISSING\}, which is not set/);
+});
+
+test('.netrc machines may span lines, with comments, a default entry and macdef blocks', () => {
+  const machines = parseNetrc([
+    '# work',
+    'machine Data.Example.com',
+    '  login alice',
+    '  password s3cret',
+    'macdef init',
+    'cd /pub',
+    'machine password login',
+    '',
+    'machine other.example.com login bob password hunter2',
+    'default login anonymous password guest'
+  ].join('\n'));
+
+  assert.deepStrictEqual([...machines.keys()], ['data.example.com', 'other.example.com', '*']);
+  assert.deepStrictEqual(machines.get('data.example.com'), { host: 'data.example.com', username: 'alice', password: 's3cret' });
+  assert.strictEqual(machines.get('*').username, 'anonymous');
+});
+
+test('cookies.txt lines keep tabs in values and HttpOnly cookies, and bad lines are reported', () => {
+  const cookies = parseCookiesTxt([
+    '# Netscape HTTP Cookie File',
+    '.example.com\tTRUE\t/data\tTRUE\t0\tsession\ta\tb',
+    '#HttpOnly_files.example.org\tFALSE\t/\tFALSE\t2000000000\tid\t42'
+  ].join('\n'), 'cookies.txt');
+
+  assert.deepStrictEqual(cookies, [
+    { domain: 'example.com', subdomains: true, path: '/data', secure: true, expires: 0, name: 'session', value: 'a\tb' },
+    { domain: 'files.example.org', subdomains: false, path: '/', secure: false, expires: 2000000000, name: 'id', value: '42' }
+  ]);
+  assert.throws(() => parseCookiesTxt('\n\nexample.com TRUE / FALSE 0 a b', 'cookies.txt'), /Invalid cookie on line 3 of cookies.txt/);
+});
+
+test('headers are layered from .netrc to cookies to AUTH_FILE to the entry, and every secret is kept', async (t) => {
+  const directory = await tempDirectory(t);
+  const netrcFile = path.join(directory, 'netrc');
+  const cookiesFile = path.join(directory, 'cookies.txt');
+  const authFile = path.join(directory, 'auth.yaml');
+  await fs.writeFile(netrcFile, 'machine data.example.com login alice password netrc-pass\n');
+  await fs.writeFile(cookiesFile, [
+    '.example.com\tTRUE\t/\tFALSE\t0\tsid\tcookie-value',
+    'example.com\tFALSE\t/\tTRUE\t0\tsecure\tonly-https',
+    'example.com\tFALSE\t/\tFALSE\t1\texpired\tlong-gone'
+  ].join('\n'));
+  await fs.writeFile(authFile, [
+    '"*.example.com":',
+    '  bearer: wildcard-token',
+    'api.example.com:',
+    '  headers:',
+    '    X-Api-Key: host-key'
+  ].join('\n'));
+
+  const credentials = new Credentials({ authFile, netrcFile, cookiesFile });
+  assert.strictEqual(credentials.enabled, true);
+
+  // The wildcard host entry replaces the .netrc basic auth
+  assert.deepStrictEqual(credentials.headersFor({ url: 'http://data.example.com/a' }), {
+    Cookie: 'sid=cookie-value',
+    Authorization: 'Bearer wildcard-token'
+  });
+  // An exact host wins over the wildcard, and the entry's own headers win over everything
+  assert.deepStrictEqual(credentials.headersFor({ url: 'https://api.example.com/a', headers: { 'x-api-key': 'entry-key' } }), {
+    Cookie: 'sid=cookie-value',
+    'x-api-key': 'entry-key'
+  });
+  assert.deepStrictEqual(credentials.headersFor({ url: 'https://example.com/a' }), { Cookie: 'sid=cookie-value; secure=only-https' });
+  assert.deepStrictEqual(credentials.headersFor({ url: 'http://elsewhere.org/a', auth: { username: 'bob', password: 'pw' } }), {
+    Authorization: `Basic ${Buffer.from('bob:pw').toString('base64')}`
+  });
+
+  for (const secret of ['netrc-pass', 'cookie-value', 'wildcard-token', 'host-key', 'entry-key', Buffer.from('bob:pw').toString('base64')]) {
+    assert.ok(credentials.secrets.has(secret), secret);
+  }
+  // Too short to redact without mangling the log
+  assert.strictEqual(credentials.secrets.has('pw'), false);
+});
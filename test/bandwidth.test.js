@@ -0,0 +1,90 @@
+const assert = require('assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { Readable, Writable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { test } = require('node:test');
+const BandwidthThrottle = require('../lib/bandwidth');
+const { tempDirectory } = require('./helpers');
+
+test('malformed limits and schedules are rejected with the setting they came from', () => {
+  assert.throws(() => new BandwidthThrottle({ maxDownloadSpeedMb: -1 }), /Invalid speed "-1" in MAX_DOWNLOAD_SPEED_MB/);
+  assert.throws(() => new BandwidthThrottle({ hostSpeedLimits: ['example.com'] }), /Invalid host limit "example.com" in HOST_SPEED_LIMITS/);
+  assert.throws(() => new BandwidthThrottle({ hostSpeedLimits: ['example.com=fast'] }), /Invalid speed "fast" in HOST_SPEED_LIMITS/);
+  assert.throws(() => new BandwidthThrottle({ speedSchedule: ['9-5=1'] }), /expected \[days \]HH:MM-HH:MM=MB/);
+  assert.throws(() => new BandwidthThrottle({ speedSchedule: ['mon-xyz 09:00-17:00=1'] }), /Invalid days/);
+  assert.throws(() => new BandwidthThrottle({ speedSchedule: ['09:00-09:00=1'] }), /Invalid time range/);
+  assert.throws(() => new BandwidthThrottle({ speedSchedule: ['24:00-01:00=1'] }), /Invalid time range/);
+});
+
+test('the schedule sets the global rate, including windows past midnight and across the week end', () => {
+  const throttle = new BandwidthThrottle({ maxDownloadSpeedMb: 50, speedSchedule: ['mon-fri 09:00-18:00=10', 'sat-sun 22:00-06:00=5'] });
+
+  // 3 January 2026 is a Saturday
+  assert.strictEqual(throttle.currentGlobalRate(new Date(2026, 0, 5, 9, 0)), 10);
+  assert.strictEqual(throttle.currentGlobalRate(new Date(2026, 0, 5, 18, 0)), 50);
+  assert.strictEqual(throttle.currentGlobalRate(new Date(2026, 0, 3, 12, 0)), 50);
+  assert.strictEqual(throttle.currentGlobalRate(new Date(2026, 0, 3, 23, 0)), 5);
+  assert.strictEqual(throttle.currentGlobalRate(new Date(2026, 0, 4, 3, 0)), 5);
+  // Sunday night's window is only in force on Sunday, not into Monday morning
+  assert.strictEqual(throttle.currentGlobalRate(new Date(2026, 0, 5, 3, 0)), 50);
+});
+
+test('host limits fall back to "*", and runtime overrides win over the configuration', () => {
+  const throttle = new BandwidthThrottle({ hostSpeedLimits: ['slow.example.com=1', '*=4'] });
+
+  assert.strictEqual(throttle.hostRate('slow.example.com'), 1);
+  assert.strictEqual(throttle.hostRate('other.example.com'), 4);
+  throttle.hostLimiter('slow.example.com');
+
+  assert.strictEqual(throttle.setLimits({ global: 8, hosts: { 'slow.example.com': 2 } }), true);
+  assert.strictEqual(throttle.global.rateMb, 8);
+  assert.strictEqual(throttle.hostLimiter('slow.example.com').rateMb, 2);
+  assert.strictEqual(throttle.setLimits({ global: 8 }), false);
+
+  throttle.setLimits({ global: null, hosts: null });
+  assert.strictEqual(throttle.global.rateMb, 0);
+  assert.strictEqual(throttle.hostLimiter('slow.example.com').rateMb, 1);
+});
+
+test('the control file overrides limits while it exists', async (t) => {
+  const directory = await tempDirectory(t);
+  const speedControlFile = path.join(directory, 'speed');
+  const throttle = new BandwidthThrottle({ maxDownloadSpeedMb: 10, speedControlFile });
+  throttle.hostLimiter('a.example.com');
+
+  assert.strictEqual(await throttle.refresh(), false);
+  await fs.writeFile(speedControlFile, '# night mode\nglobal=0\na.example.com=3 # shared host\n');
+  assert.strictEqual(await throttle.refresh(), true);
+  assert.strictEqual(throttle.global.rateMb, 0);
+  assert.strictEqual(throttle.hostLimiter('a.example.com').rateMb, 3);
+
+  await fs.remove(speedControlFile);
+  assert.strictEqual(await throttle.refresh(), true);
+  assert.strictEqual(throttle.global.rateMb, 10);
+  assert.strictEqual(throttle.hostLimiter('a.example.com').rateMb, 0);
+
+  // A broken file is reported once, not on every refresh
+  await fs.writeFile(speedControlFile, 'global=lots\n');
+  await assert.rejects(throttle.refresh(), /Invalid speed "lots"/);
+  assert.strictEqual(await throttle.refresh(), false);
+});
+
+test('streams through a limit are slowed to its rate after a one second burst', async () => {
+  const throttle = new BandwidthThrottle({ maxDownloadSpeedMb: 1 });
+  const chunk = Buffer.alloc(64 * 1024);
+  // 1.5 MB at 1 MB/s: the first MB is the burst, the rest takes about half a second
+  const chunks = Array.from({ length: 24 }, () => chunk);
+
+  const started = Date.now();
+  let received = 0;
+  await pipeline(Readable.from(chunks), throttle.throttle('http://a.example.com/x'), new Writable({
+    write(data, encoding, callback) {
+      received += data.length;
+      callback();
+    }
+  }));
+
+  assert.strictEqual(received, 24 * chunk.length);
+  assert.ok(Date.now() - started >= 400, `took ${Date.now() - started} ms`);
+});
@@ -0,0 +1,60 @@
+const assert = require('assert');
+const { test } = require('node:test');
+const { SpaceBudget, getVolumeInfo } = require('../lib/disk-space');
+const { tempDirectory } = require('./helpers');
+
+test('work larger than the whole volume fails at once instead of waiting', async (t) => {
+  const directory = await tempDirectory(t);
+  const budget = new SpaceBudget();
+  const { free } = await getVolumeInfo(directory);
+  let waited = false;
+
+  await assert.rejects(budget.reserve(directory, free * 2, { onWait: () => { waited = true; } }), { code: 'ENOSPC' });
+  assert.strictEqual(waited, false);
+});
+
+test('bytes are reserved until written, not counted again once they are', async (t) => {
+  const directory = await tempDirectory(t);
+  const budget = new SpaceBudget();
+  const { device } = await getVolumeInfo(directory);
+
+  const reservation = await budget.reserve(directory, 1000);
+  assert.strictEqual(budget.reserved.get(device), 1000);
+  reservation.written(400);
+  assert.strictEqual(budget.reserved.get(device), 600);
+  reservation.written(5000);
+  assert.strictEqual(budget.reserved.get(device), 0);
+  reservation.release();
+  reservation.release();
+  assert.strictEqual(budget.reserved.get(device), 0);
+});
+
+test('work waiting for space starts when other work releases it', async (t) => {
+  const directory = await tempDirectory(t);
+  const budget = new SpaceBudget();
+  const { available } = await budget.available(directory);
+
+  const first = await budget.reserve(directory, available - 1000);
+  let waiting;
+  const waited = new Promise(resolve => { waiting = resolve; });
+  const second = budget.reserve(directory, 100000, { onWait: waiting });
+  await waited;
+
+  first.release();
+  const reservation = await second;
+  assert.ok(reservation);
+  reservation.release();
+});
+
+test('a reservation resolves with null when the run is shut down while it waits', async (t) => {
+  const directory = await tempDirectory(t);
+  const budget = new SpaceBudget();
+  const { available } = await budget.available(directory);
+  const controller = new AbortController();
+
+  const first = await budget.reserve(directory, available - 1000);
+  const second = budget.reserve(directory, 100000, { signal: controller.signal, onWait: () => controller.abort() });
+
+  assert.strictEqual(await second, null);
+  first.release();
+});
@@ -0,0 +1,37 @@
+const assert = require('assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { test } = require('node:test');
+const FileDownloader = require('../lib/downloader');
+const { serveBody, tempDirectory } = require('./helpers');
+
+const BODY = Buffer.from('contents\n');
+
+test('an invalid entry in DOWNLOAD_URLS fails on its own while the others download', async (t) => {
+  const server = await serveBody(t, BODY);
+  const directory = await tempDirectory(t);
+
+  const downloader = new FileDownloader({
+    downloadUrls: ['http://exa mple.com/a.bin', 'ftp://example.com/b.bin', `${server.url}/good.bin|not-a-mirror`, `${server.url}/c.bin`],
+    downloadDirectory: directory,
+    stateFile: path.join(directory, 'state.json'),
+    diskSpacePolicy: 'off',
+    retryAttempts: 1
+  });
+  const summary = await downloader.run();
+
+  assert.strictEqual(summary.success, false);
+  assert.strictEqual(summary.completed, 1);
+  assert.strictEqual(summary.failed, 3);
+  assert.deepStrictEqual(summary.downloads.filter(result => !result.success).map(result => result.error), [
+    'invalid URL "http://exa mple.com/a.bin"',
+    'URL must be http(s), got "ftp://example.com/b.bin"',
+    'mirror must be http(s), got "not-a-mirror"'
+  ]);
+  assert.deepStrictEqual(await fs.readFile(path.join(directory, 'c.bin')), BODY);
+  assert.strictEqual(downloader.journal.get('downloads', 'http://exa mple.com/a.bin').status, 'failed');
+});
+
+test('a manifest entry with an unparseable URL is reported with the manifest problems', () => {
+  assert.throws(() => new FileDownloader({ items: [{ url: 'https://exa mple.com/a.bin' }] }), /invalid url "https:\/\/exa mple.com\/a.bin"/);
+});
@@ -0,0 +1,123 @@
+const assert = require('assert');
+const fs = require('fs-extra');
+const path = require('path');
+const tar = require('tar');
+const { test } = require('node:test');
+const ArchiveExtractor = require('../lib/extractor');
+const { ExtractionGuard, decodeZipFileName } = require('../lib/extract-guard');
+const { createZip, tempDirectory } = require('./helpers');
+
+const ROOT = path.resolve('/data/out');
+
+test('entry paths that leave the destination are rejected', () => {
+  const guard = new ExtractionGuard(ROOT);
+
+  assert.strictEqual(guard.resolve('a/b.txt'), path.join(ROOT, 'a', 'b.txt'));
+  assert.strictEqual(guard.resolve('a/../b.txt'), path.join(ROOT, 'b.txt'));
+  for (const entryPath of ['../escape.txt', 'a/../../escape.txt', '..\\escape.txt', '/etc/passwd', 'C:/Windows/x', '\\\\server\\share']) {
+    assert.strictEqual(guard.resolve(entryPath), null, entryPath);
+  }
+  assert.deepStrictEqual(guard.rejected.map(entry => entry.reason), [
+    'path escapes the destination directory',
+    'path escapes the destination directory',
+    'path escapes the destination directory',
+    'absolute path',
+    'absolute path',
+    'absolute path'
+  ]);
+});
+
+test('a sibling directory sharing the destination prefix is outside it', () => {
+  const guard = new ExtractionGuard(ROOT);
+  assert.strictEqual(guard.resolve('../out-evil/x'), null);
+});
+
+test('symlink targets resolve from the link, hard link targets from the root', () => {
+  const guard = new ExtractionGuard(ROOT);
+
+  assert.strictEqual(guard.checkLink('a/link', '../b.txt'), true);
+  assert.strictEqual(guard.checkLink('a/link', '../../etc/passwd'), null);
+  assert.strictEqual(guard.checkLink('a/link', '/etc/passwd'), null);
+  assert.strictEqual(guard.checkLink('a/b/hard', 'a/file.txt', true), true);
+  assert.strictEqual(guard.checkLink('a/b/hard', '../file.txt', true), null);
+});
+
+test('exceeding the size, file count or ratio limit aborts with EEXTRACTLIMIT', () => {
+  const sized = new ExtractionGuard(ROOT, { maxBytes: 100 });
+  sized.addBytes(100);
+  assert.throws(() => sized.addBytes(1), { code: 'EEXTRACTLIMIT' });
+  assert.throws(() => new ExtractionGuard(ROOT, { maxBytes: 100 }).checkDeclaredSize(101), /MAX_EXTRACTED_SIZE_MB/);
+
+  const counted = new ExtractionGuard(ROOT, { maxFiles: 2 });
+  counted.addFile();
+  counted.addFile();
+  assert.throws(() => counted.addFile(), /MAX_EXTRACTED_FILES/);
+
+  // Ratios only count past the first MB, so small compressible files are fine
+  const bomb = new ExtractionGuard(ROOT, { maxRatio: 100, compressedBytes: () => 1000 });
+  bomb.addBytes(512 * 1024);
+  assert.throws(() => bomb.addBytes(1024 * 1024), /MAX_COMPRESSION_RATIO/);
+  assert.strictEqual(bomb.limitError.code, 'EEXTRACTLIMIT');
+
+  const declared = new ExtractionGuard(ROOT, { maxRatio: 100 });
+  declared.checkDeclaredRatio('small.txt', 512 * 1024, 10);
+  assert.throws(() => declared.checkDeclaredRatio('big.bin', 10 * 1024 * 1024, 1000), /big.bin expands more than 100x/);
+});
+
+test('tar entries of unsupported types are skipped', () => {
+  const guard = new ExtractionGuard(ROOT);
+  assert.strictEqual(guard.checkTarEntry('dev/null', { type: 'CharacterDevice' }), false);
+  assert.strictEqual(guard.checkTarEntry('fifo', { type: 'FIFO' }), false);
+  assert.strictEqual(guard.checkTarEntry('file.txt', { type: 'File', size: 10 }), true);
+  assert.strictEqual(guard.files, 1);
+});
+
+test('ZIP names are CP437 unless flagged as UTF-8', () => {
+  assert.strictEqual(decodeZipFileName({ fileName: Buffer.from([0x63, 0x61, 0x66, 0x82]), generalPurposeBitFlag: 0 }), 'café');
+  assert.strictEqual(decodeZipFileName({ fileName: Buffer.from('café', 'utf8'), generalPurposeBitFlag: 0x800 }), 'café');
+});
+
+function createExtractor(directory) {
+  return new ArchiveExtractor({
+    unzipSourceDirectory: path.join(directory, 'archives'),
+    unzipDestinationDirectory: path.join(directory, 'out'),
+    stateFile: path.join(directory, 'state.json'),
+    diskSpacePolicy: 'off',
+    retryAttempts: 1
+  });
+}
+
+test('a zip-slip archive is extracted without the entries that escape', async (t) => {
+  const directory = await tempDirectory(t);
+  await fs.outputFile(path.join(directory, 'archives', 'slip.zip'), createZip({
+    'safe.txt': 'safe\n',
+    '../escaped.txt': 'escaped\n',
+    'a/../../also-escaped.txt': 'escaped\n'
+  }));
+
+  const result = await createExtractor(directory).run();
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(await fs.readFile(path.join(directory, 'out', 'slip', 'safe.txt'), 'utf8'), 'safe\n');
+  assert.strictEqual(await fs.pathExists(path.join(directory, 'out', 'escaped.txt')), false);
+  assert.strictEqual(await fs.pathExists(path.join(directory, 'also-escaped.txt')), false);
+  assert.deepStrictEqual(result.extractions[0].rejectedEntries.map(entry => entry.path).sort(), ['../escaped.txt', 'a/../../also-escaped.txt']);
+});
+
+test('a tar with a symlink out of the destination is extracted without the link', async (t) => {
+  const directory = await tempDirectory(t);
+  const source = path.join(directory, 'source');
+  await fs.outputFile(path.join(source, 'data.txt'), 'data\n');
+  await fs.symlink('../../../etc/passwd', path.join(source, 'passwd'));
+  await fs.symlink('data.txt', path.join(source, 'alias.txt'));
+  await fs.ensureDir(path.join(directory, 'archives'));
+  await tar.create({ gzip: true, cwd: source, file: path.join(directory, 'archives', 'links.tgz') }, ['data.txt', 'passwd', 'alias.txt']);
+
+  const result = await createExtractor(directory).run();
+
+  const target = path.join(directory, 'out', 'links');
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(await fs.readFile(path.join(target, 'alias.txt'), 'utf8'), 'data\n');
+  assert.strictEqual(await fs.pathExists(path.join(target, 'passwd')), false);
+  assert.deepStrictEqual(result.extractions[0].rejectedEntries.map(entry => entry.path), ['passwd']);
+});
@@ -0,0 +1,101 @@
+const assert = require('assert');
+const fs = require('fs-extra');
+const http = require('http');
+const path = require('path');
+const { test } = require('node:test');
+const FileDownloader = require('../lib/downloader');
+const { numberedName, parseContentDisposition, sanitizeFileName } = require('../lib/filenames');
+const { tempDirectory } = require('./helpers');
+
+test('Content-Disposition names: filename* wins, quotes and escapes are undone', () => {
+  assert.strictEqual(parseContentDisposition('attachment; filename="a.csv"'), 'a.csv');
+  assert.strictEqual(parseContentDisposition('attachment; filename=plain.csv'), 'plain.csv');
+  assert.strictEqual(parseContentDisposition('attachment; filename="say \\"hi\\".txt"'), 'say "hi".txt');
+  assert.strictEqual(parseContentDisposition('attachment; filename="fallback.csv"; filename*=UTF-8\'\'na%C3%AFve%20data.csv'), 'naïve data.csv');
+  assert.strictEqual(parseContentDisposition('attachment; FILENAME*=iso-8859-1\'en\'caf%E9.txt'), 'café.txt');
+  assert.strictEqual(parseContentDisposition('attachment; filename="a;b.csv"'), 'a;b.csv');
+  // Raw UTF-8 bytes arrive as latin1 from Node
+  assert.strictEqual(parseContentDisposition(`attachment; filename="${Buffer.from('naïve.csv').toString('latin1')}"`), 'naïve.csv');
+  assert.strictEqual(parseContentDisposition('attachment; filename*=x-unknown\'\'a.csv; filename=b.csv'), 'b.csv');
+  assert.strictEqual(parseContentDisposition('inline'), null);
+});
+
+test('sanitized names cannot leave the download directory or break on Windows', () => {
+  assert.strictEqual(sanitizeFileName('../../etc/passwd'), 'passwd');
+  assert.strictEqual(sanitizeFileName('C:\\evil\\run.exe'), 'run.exe');
+  assert.strictEqual(sanitizeFileName('..'), '');
+  assert.strictEqual(sanitizeFileName('.hidden'), 'hidden');
+  assert.strictEqual(sanitizeFileName('a<b>:c|d?.txt. '), 'a_b__c_d_.txt');
+  assert.strictEqual(sanitizeFileName('tab\there.txt'), 'tab_here.txt');
+
+  const long = sanitizeFileName(`${'é'.repeat(200)}.tar.gz`);
+  assert.ok(Buffer.byteLength(long) <= 255);
+  assert.ok(long.endsWith('.gz'));
+});
+
+test('numbered names keep every extension', () => {
+  assert.strictEqual(numberedName('data.tar.gz', 2), 'data-2.tar.gz');
+  assert.strictEqual(numberedName('README', 3), 'README-3');
+  assert.strictEqual(numberedName('.env', 2), '.env-2');
+});
+
+// /named sends a Content-Disposition name, /latest redirects to a versioned file, and /a/ and /b/
+// both serve data.csv
+async function startServer(t) {
+  const server = http.createServer((req, res) => {
+    if (req.url === '/latest') {
+      res.writeHead(302, { location: '/releases/data-v2.tar.gz' });
+      res.end();
+      return;
+    }
+    const headers = { 'content-length': 5 };
+    if (req.url === '/named') {
+      headers['content-disposition'] = 'attachment; filename="../../unsafe.csv"; filename*=UTF-8\'\'r%C3%A9sum%C3%A9.csv';
+    }
+    res.writeHead(200, headers);
+    res.end(req.method === 'HEAD' ? undefined : 'data\n');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return `http://127.0.0.1:${server.address().port}`;
+}
+
+function createDownloader(directory, urls, options = {}) {
+  return new FileDownloader({
+    items: urls.map(url => ({ url })),
+    downloadDirectory: directory,
+    stateFile: path.join(directory, 'state.json'),
+    diskSpacePolicy: 'off',
+    retryAttempts: 1,
+    ...options
+  });
+}
+
+test('downloads are named from Content-Disposition, then the redirect target', async (t) => {
+  const base = await startServer(t);
+  const directory = await tempDirectory(t);
+
+  const summary = await createDownloader(directory, [`${base}/named`, `${base}/latest`]).run();
+
+  assert.strictEqual(summary.success, true);
+  assert.deepStrictEqual(summary.downloads.map(result => result.fileName), ['résumé.csv', 'data-v2.tar.gz']);
+  assert.strictEqual(await fs.readFile(path.join(directory, 'résumé.csv'), 'utf8'), 'data\n');
+});
+
+test('FILENAME_COLLISIONS decides where a second file of the same name goes', async (t) => {
+  const base = await startServer(t);
+  const urls = [`${base}/a/data.csv`, `${base}/b/data.csv`];
+
+  const suffixed = await tempDirectory(t);
+  await createDownloader(suffixed, urls).run();
+  assert.deepStrictEqual((await fs.readdir(suffixed)).filter(name => name.endsWith('.csv')).sort(), ['data-2.csv', 'data.csv']);
+
+  const byHost = await tempDirectory(t);
+  await createDownloader(byHost, urls, { filenameCollisions: 'host' }).run();
+  assert.strictEqual(await fs.pathExists(path.join(byHost, new URL(base).host.replace(':', '_'), 'data.csv')), true);
+
+  // Names from the URLs are claimed before anything is downloaded, so the run stops up front
+  const refused = await tempDirectory(t);
+  await assert.rejects(createDownloader(refused, urls, { filenameCollisions: 'error' }).run(), /data\.csv would overwrite the download of .*\/a\/data\.csv/);
+  assert.strictEqual(await fs.pathExists(path.join(refused, 'data.csv')), false);
+});
@@ -0,0 +1,114 @@
+const fs = require('fs-extra');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+// A temporary directory, removed when the test ends
+async function tempDirectory(t) {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'downloader-test-'));
+  t.after(() => fs.remove(directory));
+  return directory;
+}
+
+// Serves `body` at every path with Range support and a strong ETag, like any server a download can
+// be resumed from. The requests received are listed in `server.requests`; the server closes when the test ends.
+async function serveBody(t, body) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ method: req.method, url: req.url, range: req.headers.range || null, ifRange: req.headers['if-range'] || null });
+    const headers = { 'accept-ranges': 'bytes', etag: '"body"' };
+    const range = /bytes=(\d+)-(\d*)/.exec(req.headers.range || '');
+    const start = range ? parseInt(range[1]) : 0;
+    const end = range && range[2] ? Math.min(parseInt(range[2]), body.length - 1) : body.length - 1;
+    if (start >= body.length && range) {
+      res.writeHead(416, { 'content-range': `bytes */${body.length}` });
+      res.end();
+      return;
+    }
+    if (range) {
+      headers['content-range'] = `bytes ${start}-${end}/${body.length}`;
+    }
+    headers['content-length'] = end + 1 - start;
+    res.writeHead(range ? 206 : 200, headers);
+    res.end(req.method === 'HEAD' ? undefined : body.subarray(start, end + 1));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  server.requests = requests;
+  server.url = `http://127.0.0.1:${server.address().port}`;
+  return server;
+}
+
+// A ZIP with stored (uncompressed) entries from a { name: content } map. The end of central
+// directory record can name another disk, as the last volume of a "zip -s" set does.
+function createZip(files, { lastDisk = 0 } = {}) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(files)) {
+    const data = Buffer.from(content);
+    const fileName = Buffer.from(name);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(fileName.length, 26);
+    locals.push(local, fileName, data);
+
+    const header = Buffer.alloc(46);
+    header.writeUInt32LE(0x02014b50, 0);
+    header.writeUInt16LE(20, 4);
+    header.writeUInt16LE(20, 6);
+    header.writeUInt32LE(crc, 16);
+    header.writeUInt32LE(data.length, 20);
+    header.writeUInt32LE(data.length, 24);
+    header.writeUInt16LE(fileName.length, 28);
+    header.writeUInt32LE(offset, 42);
+    central.push(header, fileName);
+    offset += local.length + fileName.length + data.length;
+  }
+
+  const centralDirectory = Buffer.concat(central);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(lastDisk, 4);
+  end.writeUInt16LE(lastDisk, 6);
+  end.writeUInt16LE(central.length / 2, 8);
+  end.writeUInt16LE(central.length / 2, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, centralDirectory, end]);
+}
+
+// Cuts a buffer into `count` pieces of about the same size
+function splitBuffer(buffer, count) {
+  const size = Math.ceil(buffer.length / count);
+  return Array.from({ length: count }, (_, i) => buffer.subarray(i * size, (i + 1) * size));
+}
+
+module.exports = {
+  createZip,
+  serveBody,
+  splitBuffer,
+  tempDirectory
+};
@@ -0,0 +1,67 @@
+const assert = require('assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { test } = require('node:test');
+const FileDownloader = require('../lib/downloader');
+const JobJournal = require('../lib/journal');
+const { serveBody, tempDirectory } = require('./helpers');
+
+test('journal entries start from defaults and survive a reload', async (t) => {
+  const directory = await tempDirectory(t);
+  const filePath = path.join(directory, 'state.json');
+
+  const journal = await new JobJournal(filePath).load();
+  assert.strictEqual(journal.get('downloads', 'http://x/a'), null);
+  journal.update('downloads', 'http://x/a', { status: 'in_progress', attempts: 1 });
+  const entry = journal.update('downloads', 'http://x/a', { bytesDone: 10 });
+  assert.strictEqual(entry.status, 'in_progress');
+  assert.strictEqual(entry.attempts, 1);
+  assert.strictEqual(entry.lastError, null);
+  await journal.flush();
+
+  assert.deepStrictEqual(await fs.readdir(directory), ['state.json']);
+  const reloaded = await new JobJournal(filePath).load();
+  assert.deepStrictEqual(reloaded.entries('downloads'), [{ key: 'http://x/a', ...entry }]);
+  assert.deepStrictEqual(reloaded.entries('extractions'), []);
+});
+
+function createDownloader(directory, urls) {
+  return new FileDownloader({
+    items: urls.map(url => ({ url })),
+    downloadDirectory: directory,
+    stateFile: path.join(directory, 'state.json'),
+    diskSpacePolicy: 'off',
+    retryAttempts: 2,
+    retryDelay: 1
+  });
+}
+
+test('a restarted run skips what the journal has as completed and retries the rest', async (t) => {
+  const body = Buffer.from('journal test body');
+  const server = await serveBody(t, body);
+  const directory = await tempDirectory(t);
+  const good = `${server.url}/good.bin`;
+  const missing = `${server.url.replace(/:\d+$/, ':1')}/missing.bin`;
+
+  const first = await createDownloader(directory, [good, missing]).run();
+  assert.strictEqual(first.completed, 1);
+  assert.strictEqual(first.failed, 1);
+
+  const status = await createDownloader(directory, []).getStatus();
+  const entries = Object.fromEntries(status.downloads.map(entry => [entry.key, entry]));
+  assert.strictEqual(entries[good].status, 'completed');
+  assert.strictEqual(entries[good].filePath, path.join(directory, 'good.bin'));
+  assert.strictEqual(entries[good].attempts, 1);
+  assert.strictEqual(entries[missing].status, 'failed');
+  assert.strictEqual(entries[missing].attempts, 2);
+  assert.match(entries[missing].lastError, /ECONNREFUSED/);
+
+  const requestsBefore = server.requests.length;
+  const second = await createDownloader(directory, [good, missing]).run();
+  assert.deepStrictEqual(second.downloads.map(result => Boolean(result.skipped)), [true, false]);
+  assert.strictEqual(server.requests.length, requestsBefore);
+
+  // Attempts keep counting across runs
+  const after = await createDownloader(directory, []).getStatus();
+  assert.strictEqual(after.downloads.find(entry => entry.key === missing).attempts, 4);
+});
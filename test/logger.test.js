@@ -0,0 +1,70 @@
+const assert = require('assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { test } = require('node:test');
+const { Logger, isLevelEnabled } = require('../lib/logger');
+const { tempDirectory } = require('./helpers');
+
+function entry(message, context) {
+  return { timestamp: '2026-01-01T00:00:00.000Z', level: 'info', message, context };
+}
+
+// Captures console output until the test ends
+function captureConsole(t) {
+  const printed = { log: [], error: [] };
+  for (const method of ['log', 'error']) {
+    t.mock.method(console, method, (line) => printed[method].push(line));
+  }
+  return printed;
+}
+
+test('LOG_LEVEL lets through its own level and the ones above it', () => {
+  assert.strictEqual(isLevelEnabled('warn', 'info'), true);
+  assert.strictEqual(isLevelEnabled('debug', 'info'), false);
+  assert.strictEqual(isLevelEnabled('debug', 'debug'), true);
+  assert.strictEqual(isLevelEnabled('info', 'nonsense'), true);
+});
+
+test('LOG_FORMAT=json writes one object per line with the context fields', async (t) => {
+  const directory = await tempDirectory(t);
+  const printed = captureConsole(t);
+  const logger = new Logger({ logFormat: 'json', logFile: path.join(directory, 'run.log') });
+
+  logger.write(entry('Downloaded', { url: 'https://example.com/a.zip' }));
+  logger.close();
+
+  const expected = { timestamp: '2026-01-01T00:00:00.000Z', level: 'info', message: 'Downloaded', url: 'https://example.com/a.zip' };
+  assert.deepStrictEqual(JSON.parse(printed.log[0]), expected);
+  assert.deepStrictEqual(JSON.parse(await fs.readFile(path.join(directory, 'run.log'), 'utf8')), expected);
+});
+
+test('the log file is rotated at LOG_MAX_SIZE_MB, keeping LOG_MAX_FILES', async (t) => {
+  const directory = await tempDirectory(t);
+  captureConsole(t);
+  const file = path.join(directory, 'run.log');
+  const logger = new Logger({ logFile: file, logMaxSizeMb: 1 / 1024, logMaxFiles: 2 });
+
+  for (let i = 0; i < 40; i++) {
+    logger.write(entry(`line ${i} ${'x'.repeat(60)}`));
+  }
+  logger.close();
+
+  assert.deepStrictEqual((await fs.readdir(directory)).sort(), ['run.log', 'run.log.1', 'run.log.2']);
+  assert.ok((await fs.stat(file)).size <= 1024);
+  assert.match(await fs.readFile(file, 'utf8'), /line 39/);
+});
+
+test('a log file that cannot be written is dropped with one warning instead of ending the run', async (t) => {
+  const directory = await tempDirectory(t);
+  const printed = captureConsole(t);
+  // A file where the log's directory should be makes every write fail
+  await fs.writeFile(path.join(directory, 'blocked'), '');
+  const logger = new Logger({ logFile: path.join(directory, 'blocked', 'run.log') });
+
+  logger.write(entry('first'));
+  logger.write(entry('second'));
+
+  assert.deepStrictEqual(printed.log, ['[2026-01-01T00:00:00.000Z] [INFO] first', '[2026-01-01T00:00:00.000Z] [INFO] second']);
+  assert.strictEqual(printed.error.length, 1);
+  assert.match(printed.error[0], /Cannot write log file .*blocked.*logging to the console only/);
+});
@@ -0,0 +1,105 @@
+const assert = require('assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { test } = require('node:test');
+const { ManifestError, isConfinedPath, loadManifest, normalizeEntry } = require('../lib/manifest');
+const { tempDirectory } = require('./helpers');
+
+const SHA256 = 'a'.repeat(64);
+
+function getError(fn) {
+  try {
+    fn();
+  } catch (error) {
+    return error;
+  }
+  return null;
+}
+
+async function writeManifest(t, name, text) {
+  const directory = await tempDirectory(t);
+  const manifestPath = path.join(directory, name);
+  await fs.writeFile(manifestPath, text);
+  return manifestPath;
+}
+
+test('isConfinedPath accepts relative paths that stay inside', () => {
+  for (const value of ['a', 'a/b', 'a/./b', 'a..b', '..a/b']) {
+    assert.strictEqual(isConfinedPath(value), true, value);
+  }
+  for (const value of ['..', '../a', 'a/../../b', 'a\\..\\..\\b', '/etc', path.resolve('/tmp/x')]) {
+    assert.strictEqual(isConfinedPath(value), false, value);
+  }
+});
+
+test('a JSONL manifest is read into items with their line numbers', async (t) => {
+  const manifestPath = await writeManifest(t, 'files.jsonl', [
+    '# datasets',
+    JSON.stringify({ url: 'https://example.com/a.zip', size: 10, checksum: `sha256:${SHA256}`, subdirectory: 'raw', extract_to: 'a' }),
+    '',
+    JSON.stringify({ url: 'https://example.com/b.csv', filename: 'b-renamed.csv', extract: 'no', mirrors: ['https://mirror.example.com/b.csv'] })
+  ].join('\n'));
+
+  assert.deepStrictEqual(loadManifest(manifestPath), [
+    { url: 'https://example.com/a.zip', size: 10, checksum: { algorithm: 'sha256', digest: SHA256 }, subdirectory: 'raw', extractTo: 'a', extract: true, line: 2 },
+    { url: 'https://example.com/b.csv', fileName: 'b-renamed.csv', extract: false, mirrors: [{ url: 'https://mirror.example.com/b.csv' }], line: 4 }
+  ]);
+});
+
+test('a CSV manifest handles quoted cells, headers and mirror lists', async (t) => {
+  process.env.MANIFEST_TEST_TOKEN = 'secret';
+  t.after(() => delete process.env.MANIFEST_TEST_TOKEN);
+  const manifestPath = await writeManifest(t, 'files.csv', [
+    'url,filename,headers,mirrors',
+    'https://example.com/a.zip,"a, the first.zip","Authorization: Bearer ${MANIFEST_TEST_TOKEN}; X-Note: ""quoted""",https://m1.example.com/a.zip|https://m2.example.com/a.zip',
+    'https://example.com/b.zip,,,'
+  ].join('\n'));
+
+  const [first, second] = loadManifest(manifestPath);
+  assert.strictEqual(first.fileName, 'a, the first.zip');
+  assert.deepStrictEqual(first.headers, { Authorization: 'Bearer secret', 'X-Note': '"quoted"' });
+  assert.deepStrictEqual(first.mirrors.map(mirror => mirror.url), ['https://m1.example.com/a.zip', 'https://m2.example.com/a.zip']);
+  assert.deepStrictEqual(second, { url: 'https://example.com/b.zip', line: 3 });
+});
+
+test('a YAML manifest can be a list or a map with a files list', async (t) => {
+  const list = await writeManifest(t, 'files.yaml', '- url: https://example.com/a.zip\n- url: https://example.com/b.zip\n  size: 5\n');
+  const map = await writeManifest(t, 'files.yml', 'files:\n  - url: https://example.com/a.zip\n');
+
+  assert.deepStrictEqual(loadManifest(list), [
+    { url: 'https://example.com/a.zip', line: 1 },
+    { url: 'https://example.com/b.zip', size: 5, line: 2 }
+  ]);
+  assert.deepStrictEqual(loadManifest(map), [{ url: 'https://example.com/a.zip', line: 2 }]);
+});
+
+test('every problem in a manifest is reported at once, by line', async (t) => {
+  const manifestPath = await writeManifest(t, 'files.jsonl', [
+    JSON.stringify({ url: 'https://example.com/a.zip' }),
+    JSON.stringify({ url: 'ftp://example.com/b.zip' }),
+    '{ not json',
+    JSON.stringify({ url: 'https://example.com/c.zip', subdirectory: '../outside' }),
+    JSON.stringify({ url: 'https://example.com/d.zip', extract_to: '/abs' }),
+    JSON.stringify({ url: 'https://example.com/e.zip', filename: 'dir/e.zip' }),
+    JSON.stringify({ url: 'https://example.com/f.zip', size: -1 }),
+    JSON.stringify({ url: 'https://example.com/g.zip', colour: 'red' }),
+    JSON.stringify({ url: 'https://example.com/a.zip' })
+  ].join('\n'));
+
+  const error = getError(() => loadManifest(manifestPath));
+  assert.ok(error instanceof ManifestError);
+  assert.deepStrictEqual(error.problems.map(problem => problem.line), [2, 3, 4, 5, 6, 7, 8, 9]);
+  assert.match(error.message, /line 4: subdirectory must be relative and stay inside the download directory/);
+  assert.match(error.message, /line 5: extract_to must be relative and stay inside the extraction directory/);
+  assert.match(error.message, /line 9: duplicate url https:\/\/example.com\/a.zip, already listed on line 1/);
+});
+
+test('unsupported manifest extensions are refused', async (t) => {
+  const manifestPath = await writeManifest(t, 'files.txt', 'https://example.com/a.zip\n');
+  assert.throws(() => loadManifest(manifestPath), /Unsupported manifest format/);
+});
+
+test('extract_to implies extract unless it is set', () => {
+  assert.strictEqual(normalizeEntry({ url: 'https://example.com/a.zip', extract_to: 'a' }).extract, true);
+  assert.strictEqual(normalizeEntry({ url: 'https://example.com/a.zip', extract_to: 'a', extract: false }).extract, false);
+});
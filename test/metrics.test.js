@@ -0,0 +1,32 @@
+const assert = require('assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { test } = require('node:test');
+const FileDownloader = require('../lib/downloader');
+const ProgressTracker = require('../lib/progress-tracker');
+const { renderMetrics } = require('../lib/metrics');
+const { serveBody, tempDirectory } = require('./helpers');
+
+const BODY = Buffer.alloc(200000, 'x');
+const ON_DISK = 150000;
+
+test('downloaded_bytes_total counts only the bytes received when resuming a partial file', async (t) => {
+  const server = await serveBody(t, BODY);
+  const directory = await tempDirectory(t);
+  await fs.writeFile(path.join(directory, 'data.bin.part'), BODY.subarray(0, ON_DISK));
+
+  const downloader = new FileDownloader({
+    items: [{ url: `${server.url}/data.bin` }],
+    downloadDirectory: directory,
+    stateFile: path.join(directory, 'state.json'),
+    diskSpacePolicy: 'off'
+  });
+  const tracker = new ProgressTracker(downloader);
+  const summary = await downloader.run();
+
+  assert.strictEqual(summary.success, true);
+  assert.deepStrictEqual(await fs.readFile(path.join(directory, 'data.bin')), BODY);
+  assert.strictEqual(tracker.bytesDownloaded, BODY.length - ON_DISK);
+  const metrics = await renderMetrics(downloader, tracker);
+  assert.match(metrics, new RegExp(`^dataset_downloader_downloaded_bytes_total ${BODY.length - ON_DISK}$`, 'm'));
+});
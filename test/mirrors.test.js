@@ -0,0 +1,85 @@
+const assert = require('assert');
+const fs = require('fs-extra');
+const http = require('http');
+const path = require('path');
+const { test } = require('node:test');
+const FileDownloader = require('../lib/downloader');
+const { serveBody, tempDirectory } = require('./helpers');
+
+const BODY = Buffer.from('mirrored dataset contents\n'.repeat(1000));
+// Nothing listens on port 1, so connecting fails at once and transiently
+const DOWN = 'http://127.0.0.1:1';
+
+async function serveStatus(t, status) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.method);
+    res.writeHead(status);
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  return { url: `http://127.0.0.1:${server.address().port}`, requests };
+}
+
+function createDownloader(directory, item) {
+  return new FileDownloader({
+    items: [item],
+    downloadDirectory: directory,
+    stateFile: path.join(directory, 'state.json'),
+    diskSpacePolicy: 'off',
+    retryAttempts: 3,
+    retryDelay: 1
+  });
+}
+
+test('a failing URL falls over to the next mirror, which gets only its own headers', async (t) => {
+  const mirror = await serveBody(t, BODY);
+  const headers = [];
+  mirror.on('request', req => headers.push(req.headers));
+  const directory = await tempDirectory(t);
+
+  const summary = await createDownloader(directory, {
+    url: `${DOWN}/data.bin`,
+    headers: { 'X-Primary-Token': 'primary-only' },
+    mirrors: [{ url: `${mirror.url}/copy/data-mirror.bin`, headers: { 'X-Mirror': 'yes' } }]
+  }).run();
+
+  assert.strictEqual(summary.success, true);
+  assert.strictEqual(summary.downloads[0].mirror, `${mirror.url}/copy/data-mirror.bin`);
+  // Named after the item's own URL, whichever mirror served it
+  assert.deepStrictEqual(await fs.readFile(path.join(directory, 'data.bin')), BODY);
+  assert.ok(headers.every(requestHeaders => requestHeaders['x-mirror'] === 'yes' && !requestHeaders['x-primary-token']));
+});
+
+test('an item is only given up on at once when every mirror failed permanently', async (t) => {
+  const gone = await serveStatus(t, 404);
+  const forbidden = await serveStatus(t, 403);
+  const busy = await serveStatus(t, 503);
+
+  const permanent = await createDownloader(await tempDirectory(t), { url: `${gone.url}/a.bin`, mirrors: `${forbidden.url}/a.bin` }).run();
+  assert.strictEqual(permanent.failed, 1);
+  assert.match(permanent.downloads[0].error, /^All 2 mirrors failed \(127\.0\.0\.1:\d+: .*404.*; 127\.0\.0\.1:\d+: .*403.*\)$/);
+  assert.strictEqual(gone.requests.filter(method => method === 'HEAD').length, 1);
+
+  const requestsBefore = gone.requests.length;
+  const mixed = await createDownloader(await tempDirectory(t), { url: `${gone.url}/b.bin`, mirrors: `${busy.url}/b.bin` }).run();
+  assert.strictEqual(mixed.failed, 1);
+  assert.strictEqual(gone.requests.length - requestsBefore, 3);
+});
+
+test('a partial from another mirror is continued when both report the same strong ETag', async (t) => {
+  const first = await serveBody(t, BODY);
+  const second = await serveBody(t, BODY);
+  const directory = await tempDirectory(t);
+  const partPath = path.join(directory, 'data.bin.part');
+  await fs.writeFile(partPath, BODY.subarray(0, 10000));
+  await fs.writeJson(`${partPath}.json`, { url: `${first.url}/data.bin`, validator: '"body"', contentLength: BODY.length });
+
+  const summary = await createDownloader(directory, { url: `${DOWN}/data.bin`, mirrors: [`${second.url}/data.bin`] }).run();
+
+  assert.strictEqual(summary.success, true);
+  assert.deepStrictEqual(await fs.readFile(path.join(directory, 'data.bin')), BODY);
+  assert.deepStrictEqual(second.requests.filter(request => request.method === 'GET').map(request => request.range), ['bytes=10000-']);
+  assert.deepStrictEqual(first.requests, []);
+});
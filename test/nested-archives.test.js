@@ -0,0 +1,55 @@
+const assert = require('assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { test } = require('node:test');
+const ArchiveExtractor = require('../lib/extractor');
+const { createZip, tempDirectory } = require('./helpers');
+
+// Two outer archives, each holding an inner archive of the same name
+async function writeArchives(directory) {
+  for (const name of ['first', 'second']) {
+    const inner = createZip({ 'data.txt': `${name}\n` });
+    await fs.outputFile(path.join(directory, 'archives', `${name}.zip`), createZip({ 'sub/inner.zip': inner }));
+  }
+}
+
+function createExtractor(directory, options) {
+  return new ArchiveExtractor({
+    unzipSourceDirectory: path.join(directory, 'archives'),
+    unzipDestinationDirectory: path.join(directory, 'out'),
+    stateFile: path.join(directory, 'state.json'),
+    nestedExtractionDepth: 1,
+    diskSpacePolicy: 'off',
+    retryAttempts: 1,
+    ...options
+  });
+}
+
+test('in place, inner archives are extracted next to themselves', async (t) => {
+  const directory = await tempDirectory(t);
+  await writeArchives(directory);
+
+  const result = await createExtractor(directory).run();
+
+  assert.strictEqual(result.success, true);
+  for (const name of ['first', 'second']) {
+    assert.strictEqual(await fs.readFile(path.join(directory, 'out', name, 'sub', 'inner', 'data.txt'), 'utf8'), `${name}\n`);
+  }
+});
+
+test('mapped, inner archives of different outer archives do not overwrite each other', async (t) => {
+  const directory = await tempDirectory(t);
+  await writeArchives(directory);
+  const mapped = path.join(directory, 'mapped');
+
+  const result = await createExtractor(directory, { nestedExtractionMode: 'mapped', nestedExtractionDirectory: mapped }).run();
+
+  assert.strictEqual(result.success, true);
+  for (const name of ['first', 'second']) {
+    assert.strictEqual(await fs.readFile(path.join(mapped, name, 'sub', 'inner', 'data.txt'), 'utf8'), `${name}\n`);
+  }
+});
+
+test('an unknown NESTED_EXTRACTION_MODE is rejected', () => {
+  assert.throws(() => createExtractor('/nonexistent', { nestedExtractionMode: 'flat' }), /Invalid NESTED_EXTRACTION_MODE "flat"/);
+});
@@ -0,0 +1,70 @@
+const assert = require('assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { test } = require('node:test');
+const FileDownloader = require('../lib/downloader');
+const { serveBody, tempDirectory } = require('./helpers');
+
+const BODY = Buffer.alloc(5000, 'p');
+
+test('plan reports what a run would do without downloading or writing anything', async (t) => {
+  const server = await serveBody(t, BODY);
+  const directory = await tempDirectory(t);
+  await fs.writeFile(path.join(directory, 'done.bin'), BODY);
+  await fs.writeFile(path.join(directory, 'partial.bin.part'), BODY.subarray(0, 2000));
+  const before = await fs.readdir(directory);
+
+  const downloader = new FileDownloader({
+    items: [
+      { url: `${server.url}/done.bin` },
+      { url: `${server.url}/partial.bin` },
+      { url: `${server.url}/archive.zip` },
+      { url: `${server.url}/sized.bin`, size: 1234 },
+      { url: 'http://127.0.0.1:1/down.bin', mirrors: [`${server.url}/mirror/down.bin`] }
+    ],
+    downloadDirectory: directory,
+    unzipDestinationDirectory: path.join(directory, 'extracted'),
+    stateFile: path.join(directory, 'state.json'),
+    autoUnzip: true
+  });
+  const plan = await downloader.plan();
+
+  const files = Object.fromEntries(plan.files.map(file => [file.fileName, file]));
+  assert.deepStrictEqual(Object.keys(files), ['done.bin', 'partial.bin', 'archive.zip', 'sized.bin', 'down.bin']);
+  assert.strictEqual(files['done.bin'].complete, true);
+  assert.strictEqual(files['done.bin'].remainingBytes, 0);
+  assert.strictEqual(files['partial.bin'].partialBytes, 2000);
+  assert.strictEqual(files['partial.bin'].remainingBytes, 3000);
+  assert.strictEqual(files['partial.bin'].acceptsRanges, true);
+  assert.strictEqual(files['archive.zip'].extract, true);
+  assert.strictEqual(files['sized.bin'].size, 1234);
+  assert.strictEqual(files['sized.bin'].sizeMismatch, true);
+  assert.strictEqual(files['down.bin'].mirror, `${server.url}/mirror/down.bin`);
+  assert.strictEqual(files['down.bin'].error, null);
+
+  assert.strictEqual(plan.totals.files, 5);
+  assert.strictEqual(plan.totals.complete, 1);
+  assert.strictEqual(plan.totals.downloadBytes, 3000 + 5000 + 1234 + 5000);
+  assert.strictEqual(plan.totals.extractBytes, 5000);
+  // The archive's extracted size is counted again on the download volume, which it shares
+  assert.strictEqual(plan.space[0].neededBytes, plan.totals.downloadBytes + plan.totals.extractBytes);
+
+  assert.ok(server.requests.every(request => request.method === 'HEAD'));
+  assert.deepStrictEqual(await fs.readdir(directory), before);
+});
+
+test('plan lists unreachable files with their error', async (t) => {
+  const directory = await tempDirectory(t);
+
+  const plan = await new FileDownloader({
+    items: [{ url: 'http://127.0.0.1:1/missing.bin' }],
+    downloadDirectory: directory,
+    stateFile: path.join(directory, 'state.json')
+  }).plan();
+
+  assert.strictEqual(plan.totals.errors, 1);
+  assert.match(plan.files[0].error, /ECONNREFUSED/);
+  assert.strictEqual(plan.files[0].httpStatus, null);
+  assert.strictEqual(plan.files[0].remainingBytes, null);
+  assert.strictEqual(plan.totals.unknownSizes, 1);
+});
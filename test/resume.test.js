@@ -0,0 +1,61 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { test } = require('node:test');
+const FileDownloader = require('../lib/downloader');
+const { serveBody, tempDirectory } = require('./helpers');
+
+const BODY = Buffer.alloc(200000, 'y');
+const SHA256 = crypto.createHash('sha256').update(BODY).digest('hex');
+
+function createDownloader(directory, url, options = {}) {
+  return new FileDownloader({
+    items: [{ url, checksum: `sha256:${SHA256}` }],
+    downloadDirectory: directory,
+    stateFile: path.join(directory, 'state.json'),
+    diskSpacePolicy: 'off',
+    retryAttempts: 1,
+    retryDelay: 0,
+    ...options
+  });
+}
+
+test('a partial file resumes with Range and If-Range', async (t) => {
+  const server = await serveBody(t, BODY);
+  const directory = await tempDirectory(t);
+  await fs.writeFile(path.join(directory, 'data.bin.part'), BODY.subarray(0, 50000));
+
+  const summary = await createDownloader(directory, `${server.url}/data.bin`).run();
+
+  assert.strictEqual(summary.success, true);
+  assert.deepStrictEqual(await fs.readFile(path.join(directory, 'data.bin')), BODY);
+  const get = server.requests.find(request => request.method === 'GET');
+  assert.strictEqual(get.range, 'bytes=50000-');
+  assert.strictEqual(get.ifRange, '"body"');
+});
+
+test('a partial file that is already complete is renamed without requesting a range after its end', async (t) => {
+  const server = await serveBody(t, BODY);
+  const directory = await tempDirectory(t);
+  await fs.writeFile(path.join(directory, 'data.bin.part'), BODY);
+
+  const summary = await createDownloader(directory, `${server.url}/data.bin`).run();
+
+  assert.strictEqual(summary.success, true);
+  assert.deepStrictEqual(await fs.readFile(path.join(directory, 'data.bin')), BODY);
+  assert.strictEqual(await fs.pathExists(path.join(directory, 'data.bin.part')), false);
+  assert.deepStrictEqual(server.requests.filter(request => request.method === 'GET'), []);
+});
+
+test('a complete partial file with the wrong checksum is downloaded again', async (t) => {
+  const server = await serveBody(t, BODY);
+  const directory = await tempDirectory(t);
+  await fs.writeFile(path.join(directory, 'data.bin.part'), Buffer.alloc(BODY.length, 'z'));
+
+  const summary = await createDownloader(directory, `${server.url}/data.bin`, { retryAttempts: 2 }).run();
+
+  assert.strictEqual(summary.success, true);
+  assert.deepStrictEqual(await fs.readFile(path.join(directory, 'data.bin')), BODY);
+  assert.deepStrictEqual(server.requests.filter(request => request.method === 'GET').map(request => request.range), [null]);
+});
@@ -0,0 +1,139 @@
+const assert = require('assert');
+const http = require('http');
+const path = require('path');
+const { test } = require('node:test');
+const FileDownloader = require('../lib/downloader');
+const { classifyError, isPermanentError, retryAfterMs } = require('../lib/errors');
+const { tempDirectory } = require('./helpers');
+
+function httpError(status, headers = {}) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.response = { status, headers };
+  return error;
+}
+
+function codeError(code, syscall) {
+  const error = new Error(code);
+  error.code = code;
+  if (syscall) error.syscall = syscall;
+  return error;
+}
+
+test('errors are classed for retry counts and metrics', () => {
+  assert.strictEqual(classifyError(httpError(503)), 'http_5xx');
+  assert.strictEqual(classifyError(httpError(404)), 'http_4xx');
+  assert.strictEqual(classifyError(codeError('ESTALLED')), 'timeout');
+  assert.strictEqual(classifyError(codeError('ECONNRESET', 'read')), 'network');
+  assert.strictEqual(classifyError(codeError('ENOSPC', 'write')), 'filesystem');
+  assert.strictEqual(classifyError(codeError('ECHECKSUM')), 'checksum');
+  assert.strictEqual(classifyError(new Error('odd')), 'other');
+  // A failure on every mirror is classed by the last one
+  assert.strictEqual(classifyError(new AggregateError([httpError(404), httpError(503)], 'all failed', { cause: httpError(503) })), 'http_5xx');
+});
+
+test('client errors and unwritable paths are permanent, except timeouts and rate limits', () => {
+  assert.strictEqual(isPermanentError(httpError(404)), true);
+  assert.strictEqual(isPermanentError(httpError(401)), true);
+  assert.strictEqual(isPermanentError(httpError(408)), false);
+  assert.strictEqual(isPermanentError(httpError(429)), false);
+  assert.strictEqual(isPermanentError(httpError(500)), false);
+  assert.strictEqual(isPermanentError(codeError('EACCES', 'open')), true);
+  assert.strictEqual(isPermanentError(codeError('EEXTRACTLIMIT')), true);
+  assert.strictEqual(isPermanentError(codeError('ECONNRESET')), false);
+
+  assert.strictEqual(isPermanentError(new AggregateError([httpError(404), httpError(403)])), true);
+  assert.strictEqual(isPermanentError(new AggregateError([httpError(404), httpError(503)])), false);
+  assert.strictEqual(isPermanentError(new AggregateError([])), false);
+});
+
+test('Retry-After is read as seconds or as an HTTP date', () => {
+  const now = Date.parse('2026-01-01T00:00:00Z');
+  assert.strictEqual(retryAfterMs(httpError(429, { 'retry-after': ' 7 ' }), now), 7000);
+  assert.strictEqual(retryAfterMs(httpError(503, { 'retry-after': 'Thu, 01 Jan 2026 00:00:30 GMT' }), now), 30000);
+  assert.strictEqual(retryAfterMs(httpError(503, { 'retry-after': 'Wed, 31 Dec 2025 00:00:00 GMT' }), now), 0);
+  assert.strictEqual(retryAfterMs(httpError(503, { 'retry-after': 'soon' }), now), null);
+  assert.strictEqual(retryAfterMs(httpError(503)), null);
+  assert.strictEqual(retryAfterMs({ message: 'wrapped', cause: httpError(429, { 'retry-after': '2' }) }), 2000);
+});
+
+test('retry delays double with jitter and are capped, Retry-After included', (t) => {
+  const downloader = new FileDownloader({ items: [], retryDelay: 1000, retryMaxDelay: 5000 });
+
+  t.mock.method(Math, 'random', () => 0);
+  assert.deepStrictEqual([1, 2, 3, 4, 5].map(attempt => downloader.retryDelayFor(attempt, new Error('x'))), [500, 1000, 2000, 2500, 2500]);
+  Math.random.mock.mockImplementation(() => 0.999999);
+  assert.deepStrictEqual([1, 2, 3, 4].map(attempt => downloader.retryDelayFor(attempt, new Error('x'))), [1000, 2000, 4000, 5000]);
+
+  assert.strictEqual(downloader.retryDelayFor(1, httpError(429, { 'retry-after': '3' })), 3000);
+  assert.strictEqual(downloader.retryDelayFor(1, httpError(429, { 'retry-after': '60' })), 5000);
+});
+
+// Answers each GET with the next of `responses`: a status with headers, or 'stall' to send
+// the headers and part of the body, then nothing more
+async function serveSequence(t, responses) {
+  const gets = [];
+  const server = http.createServer((req, res) => {
+    if (req.method === 'HEAD') {
+      res.writeHead(200, { 'content-length': 4 });
+      res.end();
+      return;
+    }
+    const response = responses[Math.min(gets.length, responses.length - 1)];
+    gets.push(req.url);
+    if (response === 'stall') {
+      res.writeHead(200, { 'content-length': 4 });
+      res.write('da');
+      return;
+    }
+    res.writeHead(response.status, response.headers);
+    res.end(response.status === 200 ? 'data' : '');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => {
+    server.closeAllConnections();
+    server.close();
+  });
+  return { url: `http://127.0.0.1:${server.address().port}`, gets };
+}
+
+async function download(t, base, options) {
+  const directory = await tempDirectory(t);
+  const downloader = new FileDownloader({
+    items: [{ url: `${base}/data.bin` }],
+    downloadDirectory: directory,
+    stateFile: path.join(directory, 'state.json'),
+    diskSpacePolicy: 'off',
+    retryAttempts: 3,
+    retryDelay: 10,
+    ...options
+  });
+  const delays = [];
+  t.mock.method(downloader, 'delay', async (ms) => { delays.push(ms); });
+  return { summary: await downloader.run(), delays };
+}
+
+test('a permanent failure is not retried', async (t) => {
+  const server = await serveSequence(t, [{ status: 404 }]);
+  const { summary, delays } = await download(t, server.url);
+
+  assert.strictEqual(summary.failed, 1);
+  assert.deepStrictEqual(server.gets, ['/data.bin']);
+  assert.deepStrictEqual(delays, []);
+});
+
+test('a rate limited download waits as long as Retry-After asks before trying again', async (t) => {
+  const server = await serveSequence(t, [{ status: 429, headers: { 'retry-after': '2' } }, { status: 200 }]);
+  const { summary, delays } = await download(t, server.url);
+
+  assert.strictEqual(summary.success, true);
+  assert.strictEqual(server.gets.length, 2);
+  assert.deepStrictEqual(delays, [2000]);
+});
+
+test('a body that stops arriving fails after STALL_TIMEOUT_MS and is retried', async (t) => {
+  const server = await serveSequence(t, ['stall', { status: 200 }]);
+  const { summary } = await download(t, server.url, { stallTimeout: 200 });
+
+  assert.strictEqual(summary.success, true);
+  assert.strictEqual(server.gets.length, 2);
+});
@@ -0,0 +1,106 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const http = require('http');
+const path = require('path');
+const { test } = require('node:test');
+const FileDownloader = require('../lib/downloader');
+const { serveBody, tempDirectory } = require('./helpers');
+
+const MB = 1024 * 1024;
+const BODY = crypto.randomBytes(3 * MB);
+
+function createDownloader(directory, url, options = {}) {
+  return new FileDownloader({
+    items: [{ url, checksum: `sha256:${crypto.createHash('sha256').update(BODY).digest('hex')}` }],
+    downloadDirectory: directory,
+    stateFile: path.join(directory, 'state.json'),
+    diskSpacePolicy: 'off',
+    retryAttempts: 1,
+    segmentsPerFile: 3,
+    minSegmentSizeMb: 1,
+    ...options
+  });
+}
+
+function ranges(server) {
+  return server.requests.filter(request => request.method === 'GET').map(request => request.range).sort();
+}
+
+test('segments are only planned when each gets at least MIN_SEGMENT_SIZE_MB', () => {
+  const downloader = new FileDownloader({ items: [], segmentsPerFile: 4, minSegmentSizeMb: 1 });
+
+  assert.deepStrictEqual(downloader.planSegments(3 * MB, 0), [
+    { start: 0, end: MB - 1, done: 0 },
+    { start: MB, end: 2 * MB - 1, done: 0 },
+    { start: 2 * MB, end: 3 * MB - 1, done: 0 }
+  ]);
+  // Bytes from a single-stream attempt become a finished segment
+  assert.deepStrictEqual(downloader.planSegments(3 * MB, MB), [
+    { start: 0, end: MB - 1, done: MB },
+    { start: MB, end: 2 * MB - 1, done: 0 },
+    { start: 2 * MB, end: 3 * MB - 1, done: 0 }
+  ]);
+  assert.strictEqual(downloader.planSegments(MB + 1, 0), null);
+  assert.strictEqual(downloader.planSegments(3 * MB, 2 * MB), null);
+});
+
+test('a large file is fetched over one ranged connection per segment', async (t) => {
+  const server = await serveBody(t, BODY);
+  const directory = await tempDirectory(t);
+
+  const summary = await createDownloader(directory, `${server.url}/data.bin`).run();
+
+  assert.strictEqual(summary.success, true);
+  assert.deepStrictEqual(await fs.readFile(path.join(directory, 'data.bin')), BODY);
+  assert.deepStrictEqual(ranges(server), [`bytes=0-${MB - 1}`, `bytes=${MB}-${2 * MB - 1}`, `bytes=${2 * MB}-${3 * MB - 1}`]);
+  assert.ok(server.requests.filter(request => request.method === 'GET').every(request => request.ifRange === '"body"'));
+  assert.strictEqual(await fs.pathExists(path.join(directory, 'data.bin.part.json')), false);
+});
+
+test('a segmented partial resumes each segment where its checkpoint left off', async (t) => {
+  const server = await serveBody(t, BODY);
+  const directory = await tempDirectory(t);
+  const url = `${server.url}/data.bin`;
+  const partPath = path.join(directory, 'data.bin.part');
+
+  // Preallocated, with the first segment finished and the second half done
+  const partial = Buffer.alloc(BODY.length);
+  BODY.copy(partial, 0, 0, MB + MB / 2);
+  await fs.writeFile(partPath, partial);
+  await fs.writeJson(`${partPath}.json`, {
+    url,
+    validator: '"body"',
+    contentLength: BODY.length,
+    segments: [
+      { start: 0, end: MB - 1, done: MB },
+      { start: MB, end: 2 * MB - 1, done: MB / 2 },
+      { start: 2 * MB, end: 3 * MB - 1, done: 0 }
+    ]
+  });
+
+  const summary = await createDownloader(directory, url).run();
+
+  assert.strictEqual(summary.success, true);
+  assert.deepStrictEqual(await fs.readFile(path.join(directory, 'data.bin')), BODY);
+  assert.deepStrictEqual(ranges(server), [`bytes=${MB + MB / 2}-${2 * MB - 1}`, `bytes=${2 * MB}-${3 * MB - 1}`]);
+});
+
+test('a server that ignores ranges gets a single stream instead', async (t) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push(req.method);
+    res.writeHead(200, { 'accept-ranges': 'bytes', 'content-length': BODY.length });
+    res.end(req.method === 'HEAD' ? undefined : BODY);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+  const directory = await tempDirectory(t);
+
+  const summary = await createDownloader(directory, `http://127.0.0.1:${server.address().port}/data.bin`).run();
+
+  assert.strictEqual(summary.success, true);
+  assert.deepStrictEqual(await fs.readFile(path.join(directory, 'data.bin')), BODY);
+  // Every segment request is answered with the whole file before the fallback GET
+  assert.strictEqual(requests.filter(method => method === 'GET').length, 4);
+});
@@ -0,0 +1,60 @@
+const assert = require('assert');
+const fs = require('fs-extra');
+const path = require('path');
+const { test } = require('node:test');
+const ArchiveExtractor = require('../lib/extractor');
+const { createZip, splitBuffer, tempDirectory } = require('./helpers');
+
+// Enough entries that the central directory spans several reads of the parts stream
+const FILES = Object.fromEntries(Array.from({ length: 400 }, (_, i) => [`data/file-${i}.txt`, `line ${i}\n`.repeat(50)]));
+
+async function extract(directory) {
+  const extractor = new ArchiveExtractor({
+    unzipSourceDirectory: path.join(directory, 'parts'),
+    unzipDestinationDirectory: path.join(directory, 'out'),
+    stateFile: path.join(directory, 'state.json'),
+    retryAttempts: 1,
+    diskSpacePolicy: 'off'
+  });
+  return extractor.run();
+}
+
+async function assertExtracted(directory, name) {
+  const target = path.join(directory, 'out', name);
+  for (const [fileName, content] of Object.entries(FILES)) {
+    assert.strictEqual(await fs.readFile(path.join(target, fileName), 'utf8'), content);
+  }
+  assert.deepStrictEqual((await fs.readdir(target)).filter(entry => entry.startsWith('.incomplete-')), []);
+}
+
+test('a zip split into .001, .002, ... parts is extracted in one go', async (t) => {
+  const directory = await tempDirectory(t);
+  const parts = splitBuffer(createZip(FILES), 3);
+  for (const [index, part] of parts.entries()) {
+    await fs.outputFile(path.join(directory, 'parts', `set.zip.00${index + 1}`), part);
+  }
+
+  const result = await extract(directory);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.extractions.length, 1);
+  assert.strictEqual(result.extractions[0].extractedFiles, Object.keys(FILES).length);
+  await assertExtracted(directory, 'set');
+});
+
+test('a spanned "zip -s" set (.z01, .z02, .zip) is extracted in one go', async (t) => {
+  const directory = await tempDirectory(t);
+  // Spanned sets start with a split marker and end with the volume holding the central directory
+  const marker = Buffer.from('504b0708', 'hex');
+  const [first, second, last] = splitBuffer(Buffer.concat([marker, createZip(FILES, { lastDisk: 2 })]), 3);
+  await fs.outputFile(path.join(directory, 'parts', 'span.z01'), first);
+  await fs.outputFile(path.join(directory, 'parts', 'span.z02'), second);
+  await fs.outputFile(path.join(directory, 'parts', 'span.zip'), last);
+
+  const result = await extract(directory);
+
+  assert.strictEqual(result.success, true);
+  assert.strictEqual(result.extractions.length, 1);
+  assert.strictEqual(result.extractions[0].extractedFiles, Object.keys(FILES).length);
+  await assertExtracted(directory, 'span');
+});
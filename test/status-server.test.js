@@ -0,0 +1,55 @@
+const assert = require('assert');
+const EventEmitter = require('events');
+const http = require('http');
+const { test } = require('node:test');
+const StatusServer = require('../lib/status-server');
+const ProgressTracker = require('../lib/progress-tracker');
+
+const EVENTS = ['start', 'progress', 'download', 'extraction'];
+
+function fakeInstance() {
+  const instance = new EventEmitter();
+  instance.secrets = new Set();
+  return instance;
+}
+
+function get(port, pathname) {
+  return new Promise((resolve, reject) => {
+    http.get(`http://127.0.0.1:${port}${pathname}`, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body }));
+    }).on('error', reject);
+  });
+}
+
+test('the status server answers with the tracked downloads and stops listening to the instance when stopped', async () => {
+  const instance = fakeInstance();
+  const tracker = new ProgressTracker(instance);
+  const before = EVENTS.map(event => instance.listenerCount(event));
+  const server = new StatusServer(instance, tracker, { port: 0 });
+  const { port } = await server.start();
+
+  instance.emit('start', { type: 'download', url: 'https://example.com/a.zip', attempt: 1 });
+  instance.emit('download', { success: true, url: 'https://example.com/a.zip', fileName: 'a.zip' });
+  const downloads = await get(port, '/downloads');
+  const missing = await get(port, '/downloads?url=https://example.com/b.zip');
+  await server.stop();
+
+  assert.strictEqual(downloads.status, 200);
+  assert.deepStrictEqual(JSON.parse(downloads.body).map(download => [download.url, download.status]), [['https://example.com/a.zip', 'completed']]);
+  assert.strictEqual(missing.status, 404);
+  assert.deepStrictEqual(EVENTS.map(event => instance.listenerCount(event)), before);
+});
+
+test('a status server that cannot listen leaves no listeners behind', async (t) => {
+  const blocker = http.createServer();
+  await new Promise(resolve => blocker.listen(0, '127.0.0.1', resolve));
+  t.after(() => blocker.close());
+  const instance = fakeInstance();
+  const server = new StatusServer(instance, new ProgressTracker(instance), { port: blocker.address().port });
+  const before = EVENTS.map(event => instance.listenerCount(event));
+
+  await assert.rejects(server.start(), { code: 'EADDRINUSE' });
+  assert.deepStrictEqual(EVENTS.map(event => instance.listenerCount(event)), before);
+});
@@ -0,0 +1,50 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { test } = require('node:test');
+const FileDownloader = require('../lib/downloader');
+const { serveBody, tempDirectory } = require('./helpers');
+
+const BODY = Buffer.from('verified contents\n');
+const SHA256 = crypto.createHash('sha256').update(BODY).digest('hex');
+
+function createDownloader(directory, items = []) {
+  return new FileDownloader({
+    items,
+    downloadDirectory: path.join(directory, 'downloads'),
+    stateFile: path.join(directory, 'state.json'),
+    diskSpacePolicy: 'off',
+    retryAttempts: 1
+  });
+}
+
+test('verify takes a checksum after the last "=" of a file argument', async (t) => {
+  const directory = await tempDirectory(t);
+  await fs.outputFile(path.join(directory, 'downloads', 'a=b.txt'), BODY);
+
+  const results = await createDownloader(directory).verifyAll([`a=b.txt=sha256:${SHA256}`, 'missing.txt=0123456789abcdef0123456789abcdef']);
+
+  assert.deepStrictEqual(results.map(r => [r.fileName, r.status]), [['a=b.txt', 'ok'], ['missing.txt', 'missing']]);
+});
+
+test('verify refuses files outside the download directory', async (t) => {
+  const directory = await tempDirectory(t);
+  await fs.outputFile(path.join(directory, 'secret.txt'), BODY);
+  const downloader = createDownloader(directory);
+
+  await assert.rejects(downloader.verifyAll([`../secret.txt=sha256:${SHA256}`]), /only files inside the download directory/);
+  await assert.rejects(downloader.verifyAll([path.join(directory, 'secret.txt')]), /only files inside the download directory/);
+});
+
+test('an existing file of the right size is downloaded again when it fails its checksum', async (t) => {
+  const server = await serveBody(t, BODY);
+  const directory = await tempDirectory(t);
+  await fs.outputFile(path.join(directory, 'downloads', 'data.txt'), Buffer.alloc(BODY.length, 'x'));
+
+  const summary = await createDownloader(directory, [{ url: `${server.url}/data.txt`, checksum: `sha256:${SHA256}` }]).run();
+
+  assert.strictEqual(summary.success, true);
+  assert.deepStrictEqual(await fs.readFile(path.join(directory, 'downloads', 'data.txt')), BODY);
+  assert.strictEqual(server.requests.filter(request => request.method === 'GET').length, 1);
+});